@@ -0,0 +1,183 @@
+/**
+ * KERNEL - A i' centrale
+ * Module registry with dependencies and an init/destroy lifecycle
+ *
+ * Each module gets its own AbortController: listeners added with
+ * { signal } go away when the module is destroyed or restarted.
+ *
+ *   registerModule({
+ *       name: 'gallery',
+ *       deps: ['i18n', 'images'],
+ *       init: ({ signal, store }) => { ... },
+ *       destroy: () => { ... }     // observers, timers, created elements
+ *   });
+ */
+
+import { store } from './store.js';
+
+const modules = new Map();
+
+/**
+ * Register a module
+ * @param {Object} definition - {name, deps, init, destroy}
+ */
+export function registerModule({ name, deps = [], init, destroy = null }) {
+    if (modules.has(name)) {
+        throw new Error(`Module "${name}" is already registered`);
+    }
+
+    modules.set(name, { name, deps, init, destroy, controller: null });
+}
+
+/**
+ * Start every registered module, dependencies first
+ */
+export function startModules() {
+    sortModules([...modules.keys()]).forEach(startModule);
+}
+
+/**
+ * Destroy a module and re-initialise it, together with the modules that depend on it
+ * Safe to call when the content it works on has changed.
+ * @param {string} name - Module name
+ */
+export function restartModule(name) {
+    assertRegistered(name);
+
+    const affected = sortModules([name, ...getDependents(name)]);
+
+    [...affected].reverse().forEach(stopModule);
+    affected.forEach(startModule);
+}
+
+/**
+ * Destroy a module and the modules that depend on it
+ * @param {string} name - Module name
+ */
+export function destroyModule(name) {
+    assertRegistered(name);
+
+    sortModules([name, ...getDependents(name)]).reverse().forEach(stopModule);
+}
+
+/**
+ * Check if a module is running
+ * @param {string} name - Module name
+ * @returns {boolean} True once initialised and not destroyed
+ */
+export function isRunning(name) {
+    const entry = modules.get(name);
+    return Boolean(entry && entry.controller);
+}
+
+/**
+ * Throw for names that were never registered (typos would otherwise do nothing)
+ * @param {string} name - Module name
+ */
+function assertRegistered(name) {
+    if (!modules.has(name)) {
+        throw new Error(`Unknown module "${name}"`);
+    }
+}
+
+/**
+ * Initialise one module
+ * A failing module is logged and skipped, the others still start.
+ * @param {string} name - Module name
+ */
+function startModule(name) {
+    const entry = modules.get(name);
+
+    if (entry.controller) return;
+
+    const missing = entry.deps.filter(dep => !isRunning(dep));
+    if (missing.length > 0) {
+        console.warn(`Module "${name}" not started, missing: ${missing.join(', ')}`);
+        return;
+    }
+
+    entry.controller = new AbortController();
+
+    try {
+        entry.init({ signal: entry.controller.signal, store });
+    } catch (err) {
+        console.error(`❌ Module "${name}" failed to start:`, err);
+        stopModule(name);
+    }
+}
+
+/**
+ * Tear down one module: abort its listeners, then let it clean up the rest
+ * @param {string} name - Module name
+ */
+function stopModule(name) {
+    const entry = modules.get(name);
+
+    if (!entry.controller) return;
+
+    entry.controller.abort();
+    entry.controller = null;
+
+    if (entry.destroy) {
+        try {
+            entry.destroy();
+        } catch (err) {
+            console.error(`❌ Module "${name}" failed to stop:`, err);
+        }
+    }
+}
+
+/**
+ * Every module that depends on a module, directly or not
+ * @param {string} name - Module name
+ * @returns {Array} Module names
+ */
+function getDependents(name) {
+    const dependents = new Set();
+    const visit = (target) => {
+        modules.forEach(entry => {
+            if (entry.deps.includes(target) && !dependents.has(entry.name)) {
+                dependents.add(entry.name);
+                visit(entry.name);
+            }
+        });
+    };
+
+    visit(name);
+    return [...dependents];
+}
+
+/**
+ * Order module names so that dependencies come first
+ * Registration order is kept between unrelated modules.
+ * @param {Array} names - Module names
+ * @returns {Array} Sorted names
+ */
+function sortModules(names) {
+    const wanted = new Set(names);
+    const sorted = [];
+    const state = new Map();   // name -> 'visiting' | 'done'
+
+    const visit = (name, path) => {
+        if (state.get(name) === 'done') return;
+
+        if (state.get(name) === 'visiting') {
+            throw new Error(`Circular module dependency: ${[...path, name].join(' -> ')}`);
+        }
+
+        // Unregistered dependencies are reported when the module starts
+        const entry = modules.get(name);
+        if (!entry) return;
+
+        state.set(name, 'visiting');
+        entry.deps.forEach(dep => visit(dep, [...path, name]));
+        state.set(name, 'done');
+
+        if (wanted.has(name)) {
+            sorted.push(name);
+        }
+    };
+
+    [...modules.keys()].filter(name => wanted.has(name)).forEach(name => visit(name, []));
+    return sorted;
+}
\ No newline at end of file
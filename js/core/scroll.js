@@ -0,0 +1,189 @@
+/**
+ * SCROLL MANAGER - A i' centrale
+ * One passive scroll listener for the whole site: the position is read once
+ * per animation frame and handed to every subscriber
+ */
+
+import { getSections } from './sections.js';
+
+// Ignore direction changes smaller than this (trackpad jitter, iOS bounce)
+const DIRECTION_TOLERANCE = 8;
+
+const subscribers = new Set();
+let controller = null;
+let frame = null;
+let state = null;
+
+/**
+ * Subscribe to scroll updates
+ * The callback runs right away and then at most once per frame while scrolling:
+ * state = {y, maxY, progress (0-1 of the page), direction ('up' | 'down' | null), viewportHeight,
+ * sections ({id: 0-1} for every registered section, measured on first read)}
+ * @param {Function} callback - Called with the scroll state
+ * @param {Object} options - {signal}: unsubscribe when the signal aborts
+ * @returns {Function} Unsubscribe function
+ */
+export function onScroll(callback, { signal } = {}) {
+    const unsubscribe = () => {
+        subscribers.delete(callback);
+
+        if (subscribers.size === 0) {
+            stop();
+        }
+    };
+
+    if (signal) {
+        if (signal.aborted) return unsubscribe;
+        signal.addEventListener('abort', unsubscribe, { once: true });
+    }
+
+    if (subscribers.size === 0) {
+        start();
+    }
+
+    subscribers.add(callback);
+    callback(state);
+
+    return unsubscribe;
+}
+
+/**
+ * Subscribe to a scroll offset being passed
+ * The callback runs right away and then only when the page crosses the offset.
+ * @param {number} offset - Scroll position in px
+ * @param {Function} callback - Called with (isPast, state)
+ * @param {Object} options - {signal}: unsubscribe when the signal aborts
+ * @returns {Function} Unsubscribe function
+ */
+export function onThreshold(offset, callback, options) {
+    let isPast = null;
+
+    return onScroll((current) => {
+        const past = current.y > offset;
+
+        if (past !== isPast) {
+            isPast = past;
+            callback(past, current);
+        }
+    }, options);
+}
+
+/**
+ * How far the viewport has moved through an element
+ * 0 while its top is below the line, 1 once its bottom has passed it.
+ * @param {HTMLElement} element - Section or any element
+ * @param {number} offset - Reading line from the top of the viewport
+ * @returns {number} Progress from 0 to 1
+ */
+function getSectionProgress(element, offset = 0) {
+    const rect = element.getBoundingClientRect();
+
+    if (rect.height === 0) return 0;
+
+    return Math.min(Math.max((offset - rect.top) / rect.height, 0), 1);
+}
+
+/**
+ * Current scroll state (measured now if nobody is subscribed)
+ * @returns {Object} Scroll state
+ */
+export function getScrollState() {
+    return state || measure();
+}
+
+/**
+ * Attach the shared listeners
+ */
+function start() {
+    controller = new AbortController();
+    state = measure();
+
+    window.addEventListener('scroll', requestUpdate, { passive: true, signal: controller.signal });
+    window.addEventListener('resize', requestUpdate, { signal: controller.signal });
+}
+
+/**
+ * Detach the listeners once the last subscriber has gone
+ */
+function stop() {
+    controller.abort();
+    controller = null;
+    cancelAnimationFrame(frame);
+    frame = null;
+    state = null;
+}
+
+/**
+ * Schedule one update for the next frame, however many events arrive
+ */
+function requestUpdate() {
+    if (frame) return;
+
+    frame = requestAnimationFrame(() => {
+        frame = null;
+        state = measure(state);
+
+        // Copy: a subscriber may unsubscribe while we iterate
+        [...subscribers].forEach(callback => callback(state));
+    });
+}
+
+/**
+ * Read the scroll position and derive direction and progress
+ * @param {Object} previous - Previous state (optional)
+ * @returns {Object} Scroll state
+ */
+function measure(previous = null) {
+    const y = Math.max(window.scrollY, 0);
+    const viewportHeight = window.innerHeight;
+    const maxY = Math.max(document.documentElement.scrollHeight - viewportHeight, 0);
+    let direction = previous ? previous.direction : null;
+    let anchorY = previous ? previous.anchorY : y;
+
+    // Direction changes only after moving DIRECTION_TOLERANCE px from where it last changed
+    if (Math.abs(y - anchorY) > DIRECTION_TOLERANCE) {
+        direction = y > anchorY ? 'down' : 'up';
+        anchorY = y;
+    } else if (direction === 'down' && y > anchorY) {
+        anchorY = y;
+    } else if (direction === 'up' && y < anchorY) {
+        anchorY = y;
+    }
+
+    const state = {
+        y,
+        maxY,
+        progress: maxY > 0 ? Math.min(y / maxY, 1) : 0,
+        direction,
+        viewportHeight,
+        anchorY
+    };
+    let sections = null;
+
+    // Layout reads for every section: only when a subscriber asks, once per frame
+    Object.defineProperty(state, 'sections', {
+        enumerable: true,
+        get: () => sections || (sections = measureSections())
+    });
+
+    return state;
+}
+
+/**
+ * Progress through each registered section on the page
+ * The reading line is the top of the viewport.
+ * @returns {Object} Progress (0-1) keyed by section id
+ */
+function measureSections() {
+    const progress = {};
+
+    getSections().forEach(({ id }) => {
+        const element = document.getElementById(id);
+
+        if (element) {
+            progress[id] = getSectionProgress(element);
+        }
+    });
+
+    return progress;
+}
\ No newline at end of file
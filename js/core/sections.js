@@ -0,0 +1,36 @@
+/**
+ * SECTIONS - A i' centrale
+ * The page sections, declared once: the navigation renders its links from
+ * here and the scroll spy watches the same list
+ *
+ *   { id: 'about', label: 'nav.about', order: 10 }
+ *
+ * id is the element id (#about), label the i18n key of the nav link and
+ * order its position. Sections without a label are only watched by the spy.
+ */
+
+const SECTIONS = [
+    { id: 'hero', order: 0 },
+    { id: 'about', label: 'nav.about', order: 10 },
+    { id: 'menu', label: 'nav.menu', order: 20 },
+    { id: 'gallery', label: 'nav.gallery', order: 30 },
+    { id: 'events', label: 'nav.events', order: 40 },
+    { id: 'reservation', order: 50 },
+    { id: 'contact', label: 'nav.contact', order: 60 }
+];
+
+/**
+ * Every section, in page order
+ * @returns {Array<Object>} Sections ({id, label, order})
+ */
+export function getSections() {
+    return [...SECTIONS].sort((a, b) => a.order - b.order);
+}
+
+/**
+ * The sections that have a nav link, in order
+ * @returns {Array<Object>} Sections ({id, label, order})
+ */
+export function getNavSections() {
+    return getSections().filter(section => section.label);
+}
\ No newline at end of file
@@ -0,0 +1,87 @@
+/**
+ * STORE - A i' centrale
+ * Shared application state: modules read, write and watch keys here
+ * instead of keeping their own singletons or checking DOM classes
+ */
+
+/**
+ * Create a key/value store with per-key subscriptions
+ * @param {Object} initial - Initial state
+ * @returns {Object} Store ({get, set, subscribe})
+ */
+export function createStore(initial = {}) {
+    const state = { ...initial };
+    const subscribers = new Map();
+
+    /**
+     * Read a value
+     * @param {string} key - State key
+     * @returns {*} Current value
+     */
+    function get(key) {
+        return state[key];
+    }
+
+    /**
+     * Write a value and notify the subscribers if it changed
+     * @param {string} key - State key
+     * @param {*} value - New value
+     */
+    function set(key, value) {
+        if (Object.is(state[key], value)) return;
+
+        const previous = state[key];
+        state[key] = value;
+
+        // Copy: a callback may unsubscribe while we iterate
+        [...(subscribers.get(key) || [])].forEach(callback => callback(value, previous));
+    }
+
+    /**
+     * Watch a key
+     * @param {string} key - State key
+     * @param {Function} callback - Called with (value, previous)
+     * @param {Object} options - {signal}: unsubscribe when the signal aborts
+     * @returns {Function} Unsubscribe function
+     */
+    function subscribe(key, callback, { signal } = {}) {
+        if (!subscribers.has(key)) {
+            subscribers.set(key, new Set());
+        }
+
+        const callbacks = subscribers.get(key);
+        const unsubscribe = () => callbacks.delete(callback);
+
+        if (signal) {
+            if (signal.aborted) return unsubscribe;
+            signal.addEventListener('abort', unsubscribe, { once: true });
+        }
+
+        callbacks.add(callback);
+        return unsubscribe;
+    }
+
+    return { get, set, subscribe };
+}
+
+/**
+ * The application store
+ * - language: active language code
+ * - theme: 'dark' or 'light'
+ * - consent: stored consent choice ({version, date, expires, categories}) or null
+ * - menuOpen: mobile menu open
+ * - lightboxOpen: gallery lightbox open
+ * - activeSection: id of the section in view
+ * - reducedMotion: the user prefers reduced motion (scroll-animations.js)
+ * - route: path of the secondary page shown (e.g. '/menu'), null on the home (router.js)
+ */
+export const store = createStore({
+    language: 'it',
+    theme: 'dark',
+    consent: null,
+    menuOpen: false,
+    lightboxOpen: false,
+    activeSection: null,
+    reducedMotion: false,
+    route: null
+});
\ No newline at end of file
@@ -0,0 +1,424 @@
+/**
+ * ENGLISH CATALOG - A i' centrale
+ * Same keys as it.js
+ */
+
+export default {
+    meta: {
+        title: "A i' centrale | The bar where every story finds its place",
+        description: "A i' centrale - Bar in Terranuova Bracciolini. Where every story finds its place. Coffee, aperitivo and cocktails in the heart of the Valdarno."
+    },
+
+    common: {
+        tagline: 'The bar where every story finds its place'
+    },
+
+    lang: {
+        label: 'Language'
+    },
+
+    theme: {
+        dark: 'Dark theme'
+    },
+
+    nav: {
+        about: 'About Us',
+        menu: 'Menu',
+        gallery: 'Gallery',
+        events: 'Events',
+        contact: 'Contact',
+        open: 'Open menu',
+        close: 'Close menu'
+    },
+
+    hero: {
+        discover: 'Discover more',
+        book: 'Book a table',
+        scroll: 'Scroll'
+    },
+
+    about: {
+        titleScript: 'Where every story',
+        titleBold: 'FINDS ITS PLACE',
+        text1: "A i' centrale is the heartbeat of the modern Valdarno: a bar that blends the genuine spirit of the area with a contemporary, welcoming soul.",
+        text2: 'In the heart of Terranuova Bracciolini, we have become the meeting point for everyone who lives the Valdarno. From the coffee ritual to a carefully crafted aperitivo, every visit tastes of quality and familiarity.',
+        imageAlt: "Inside A i' centrale",
+        features: {
+            atmosphere: {
+                title: 'Welcoming Atmosphere',
+                text: 'A place that feels like home, perfect at any time of day'
+            },
+            quality: {
+                title: 'Guaranteed Quality',
+                text: 'Refined cocktails and food that make the difference'
+            },
+            spirit: {
+                title: 'Valdarno Spirit',
+                text: 'Tradition and modernity meet naturally'
+            }
+        }
+    },
+
+    menu: {
+        titleScript: 'What we',
+        titleBold: 'SERVE',
+        subtitle: 'From morning to evening, every moment has its flavour',
+        cards: {
+            colazioni: {
+                title: 'Breakfast',
+                text: 'Start the day with our coffee and sweet specialities'
+            },
+            pranzi: {
+                title: 'Quick Lunch',
+                text: 'Sandwiches, pizza and hot dishes for your lunch break'
+            },
+            aperitivi: {
+                title: 'Aperitivo',
+                text: 'The most awaited moment of the day, with selected nibbles'
+            },
+            cocktails: {
+                title: 'Cocktails',
+                text: 'Classic drinks and original creations, made with care'
+            }
+        },
+        tabsLabel: 'Menu categories',
+        filtersLabel: 'Dietary filters',
+        openCategory: 'See the {category} menu',
+        empty: 'Nothing matches the selected filters',
+        note: 'Please ask our staff for allergen information.',
+        fullMenu: 'See the full menu',
+        unavailable: 'Not available',
+        allergensList: 'Allergens: {list}',
+        diets: {
+            vegetarian: 'Vegetarian',
+            vegan: 'Vegan',
+            'gluten-free': 'Gluten free'
+        },
+        allergens: {
+            gluten: 'gluten',
+            crustaceans: 'crustaceans',
+            eggs: 'eggs',
+            fish: 'fish',
+            peanuts: 'peanuts',
+            soy: 'soy',
+            milk: 'milk',
+            nuts: 'tree nuts',
+            celery: 'celery',
+            mustard: 'mustard',
+            sesame: 'sesame',
+            sulphites: 'sulphites',
+            lupin: 'lupin',
+            molluscs: 'molluscs'
+        }
+    },
+
+    gallery: {
+        titleScript: 'Our',
+        titleBold: 'WORLD',
+        subtitle: "Glimpses, moments and atmosphere of A i' centrale",
+        all: 'All',
+        filtersLabel: 'Filter by category',
+        loadMore: 'Load more',
+        viewImage: 'View image {index}',
+        lightbox: 'Image lightbox',
+        close: 'Close lightbox',
+        prev: 'Previous image',
+        next: 'Next image',
+        share: 'Share photo',
+        linkCopied: 'Link copied to clipboard',
+        copyFailed: 'Could not copy the link',
+        play: 'Play slideshow',
+        pause: 'Pause slideshow'
+    },
+
+    images: {
+        error: 'Image not available',
+        blocked: 'Photo hosted on an external service',
+        allow: 'Show external content'
+    },
+
+    events: {
+        titleScript: 'Nights and',
+        titleBold: 'EVENTS',
+        subtitle: 'Aperitivo, live music and tastings: save the dates',
+        empty: 'No events scheduled right now. Come back soon!',
+        when: '{date}, {start} – {end}',
+        repeat: {
+            daily_one: 'Every day',
+            daily_other: 'Every {count} days',
+            weekly_one: 'Every {days}',
+            weekly_other: 'Every {count} weeks: {days}',
+            monthly_one: 'Once a month',
+            monthly_other: 'Every {count} months'
+        },
+        addToCalendar: 'Add to calendar',
+        addEventToCalendar: 'Add {title} to calendar',
+        feed: 'Add all to calendar',
+        feedName: "A i' centrale events",
+        all: 'All events'
+    },
+
+    reservation: {
+        titleScript: 'Book your',
+        titleBold: 'TABLE',
+        subtitle: 'Pick the day, the time and how many you are: we take care of the rest',
+        fields: {
+            partySize: 'Guests',
+            date: 'Date',
+            time: 'Time',
+            name: 'Name',
+            phone: 'Phone',
+            email: 'Email',
+            notes: 'Notes',
+            notesPlaceholder: 'Allergies, high chair, special occasions...',
+            privacy: 'I agree to the processing of my data to manage the booking'
+        },
+        groupHint: 'For groups of more than 12 people please contact us directly.',
+        submit: 'Book',
+        slots: {
+            unavailable: 'Online booking is not available: please call us.',
+            pickDate: 'Pick a date to see the available times.',
+            closed: "We are closed on {date}{reason}. Please pick another date.",
+            none: 'There are no more times available on this date.'
+        },
+        errors: {
+            name: 'Please enter your name.',
+            email: 'Please enter a valid email address.',
+            phone: 'Please enter a valid phone number.',
+            partySize: 'Online bookings are for 1 to {max} guests.',
+            date: 'Please pick a date.',
+            closed: 'We are closed on this date.',
+            window: 'Online bookings open {days} days ahead. Please pick an earlier date.',
+            time: 'Please pick an available time.',
+            privacy: 'You must accept the data processing to book.',
+            submit: 'We could not send your booking. Please try again or call us.'
+        },
+        people_one: '{count} guest',
+        people_other: '{count} guests',
+        confirmation: {
+            title: 'Booking sent!',
+            summary: 'Table for {people}, {date} at {time}. We sent a confirmation to {email}.',
+            addToCalendar: 'Add to calendar',
+            newBooking: 'New booking',
+            eventTitle: "Table at A i' centrale ({people})"
+        }
+    },
+
+    contact: {
+        title: 'Write to us',
+        intro: 'Questions, requests or just a hello: we will get back to you as soon as we can.',
+        fields: {
+            name: 'Name',
+            email: 'Email',
+            phone: 'Phone',
+            message: 'Message',
+            privacy: 'I agree to the processing of my data to receive a reply'
+        },
+        privacyLink: 'privacy policy',
+        counter: '{count}/{max} characters',
+        submit: 'Send message',
+        errors: {
+            name: 'Please enter your name.',
+            email: 'Please enter a valid email address.',
+            phone: 'Please enter a valid phone number or leave the field empty.',
+            message: 'Please write at least {min} characters.',
+            messageLength: 'The message can be at most {max} characters long.',
+            privacy: 'Please accept the data processing to send the message.'
+        },
+        status: {
+            sent: 'Message sent, thank you! We will reply soon.',
+            error: 'We could not send your message. Please try again or write to info@aicentrale.it.',
+            queued: 'You are offline: the message is saved and will be sent as soon as you are back online.',
+            queuedSent: 'The message saved offline has been sent.',
+            queuedFailed: 'We could not send the message saved offline. Please write to info@aicentrale.it.',
+            offline: 'You are offline and we cannot save the message. Please try again when you are back online.'
+        }
+    },
+
+    form: {
+        optional: '(optional)'
+    },
+
+    cta: {
+        titleScript: 'Come and visit',
+        titleBold: 'EVERY STORY IS WELCOME',
+        text: 'We look forward to sharing a special moment with you',
+        button: 'How to find us'
+    },
+
+    hours: {
+        open: 'Open now',
+        closingSoon: 'Closing soon',
+        closed: 'Closed now',
+        closedFor: 'Closed · {reason}',
+        closesAt: 'Closes at {time}',
+        opensToday: 'Opens at {time}',
+        opensTomorrow: 'Opens tomorrow at {time}',
+        opensOn: 'Opens {day} at {time}',
+        opensOnDate: 'Opens on {date} at {time}',
+        closedAllDay: 'Closed',
+        days: {
+            mon: 'Monday',
+            tue: 'Tuesday',
+            wed: 'Wednesday',
+            thu: 'Thursday',
+            fri: 'Friday',
+            sat: 'Saturday',
+            sun: 'Sunday'
+        },
+        daysShort: {
+            mon: 'Mon',
+            tue: 'Tue',
+            wed: 'Wed',
+            thu: 'Thu',
+            fri: 'Fri',
+            sat: 'Sat',
+            sun: 'Sun'
+        }
+    },
+
+    consent: {
+        title: 'Your privacy',
+        text: 'We only use the technical cookies the site needs. With your consent we also load fonts and photos from external services (Google Fonts, Unsplash) and collect anonymous visit statistics.',
+        accept: 'Accept all',
+        reject: 'Reject',
+        rejectAll: 'Reject all',
+        customize: 'Customize',
+        save: 'Save preferences',
+        close: 'Close',
+        manage: 'Manage cookies',
+        preferencesTitle: 'Cookie preferences',
+        preferencesIntro: 'Choose what we may load. You can change your mind at any time from "Manage cookies" at the bottom of the page.',
+        categories: {
+            necessary: {
+                name: 'Necessary',
+                text: 'Language, preferences and offline support. Always on, they stay on your device.'
+            },
+            media: {
+                name: 'External content',
+                text: 'Fonts from Google Fonts and photos hosted on Unsplash: these services receive your IP address.'
+            },
+            analytics: {
+                name: 'Statistics',
+                text: 'Anonymous data about visited pages and interactions, to improve the site.'
+            }
+        }
+    },
+
+    install: {
+        button: 'Install the app',
+        iosTitle: 'Add to Home Screen',
+        iosStep1: 'Tap the Share button in the Safari toolbar',
+        iosStep2: 'Choose "Add to Home Screen"',
+        close: 'Close'
+    },
+
+    offline: {
+        pageTitle: "You're offline | A i' centrale",
+        titleScript: 'No signal?',
+        titleBold: "YOU'RE OFFLINE",
+        text: "We can't load the page right now. Here is where to find us and when we're open.",
+        retry: 'Try again'
+    },
+
+    update: {
+        available: 'A new version of the site is available.',
+        reload: 'Update',
+        dismiss: 'Later'
+    },
+
+    performance: {
+        close: 'Close the metrics'
+    },
+
+    pages: {
+        back: 'Back to the home page',
+        menu: {
+            title: "Menu | A i' centrale",
+            description: "The full menu of A i' centrale: breakfast, lunch, aperitivo and cocktails, with dietary filters.",
+            titleScript: 'Our',
+            titleBold: 'FULL MENU',
+            intro: 'Everything we serve, from breakfast to late evening. Filter by category or dietary needs.'
+        },
+        events: {
+            title: "Events | A i' centrale",
+            description: "Aperitivo, live music and tastings at A i' centrale: the calendar for the next three months.",
+            titleScript: 'The calendar of our',
+            titleBold: 'EVENINGS',
+            intro: 'Every event in the next three months: add them to your calendar so you don\'t miss one.'
+        },
+        privacy: {
+            title: "Privacy | A i' centrale",
+            description: "How A i' centrale handles the data of website visitors and table bookings.",
+            titleScript: 'Our',
+            titleBold: 'PRIVACY POLICY',
+            intro: 'How we handle the data of website visitors and table bookings.',
+            controller: {
+                title: 'Data controller',
+                text: "A i' centrale, Terranuova Bracciolini (AR). For any request about your data write to info@aicentrale.it."
+            },
+            data: {
+                title: 'What we collect',
+                text: 'The name, phone number and email you enter in the booking and contact forms, together with date, time, party size, notes and the text of your messages. With your consent we also collect anonymous visit statistics.'
+            },
+            purposes: {
+                title: 'Why we use it',
+                text: 'To confirm and manage your booking, answer your messages and improve the website. We do not sell your data or use it for advertising.'
+            },
+            storage: {
+                title: 'What stays on your device',
+                text: 'Language, theme and cookie choices are saved in your browser, along with the pages needed to use the site offline and any message written without a connection, until it is sent. Cookie choices last 180 days, then we ask again.'
+            },
+            thirdParties: {
+                title: 'External services',
+                text: 'Only with your consent do we load fonts from Google Fonts and photos from Unsplash: these services receive your IP address.'
+            },
+            rights: {
+                title: 'Your rights',
+                text: 'You can ask to access, correct or delete your data, and you can lodge a complaint with the Italian Data Protection Authority (Garante). Booking data is kept only as long as needed to manage it.'
+            }
+        },
+        privateEvents: {
+            title: "Private events | A i' centrale",
+            description: "Birthdays, graduations and company aperitivo at A i' centrale: spaces, packages and how to book.",
+            titleScript: 'Celebrate with us',
+            titleBold: 'PRIVATE EVENTS',
+            intro: 'Birthdays, graduations, company aperitivo: the bar can be yours for an evening.',
+            spaces: {
+                title: 'The spaces',
+                text: 'The indoor room seats up to 40 guests, the outdoor area another 30 in the warm season. We can reserve an area or the whole bar.'
+            },
+            formulas: {
+                title: 'Packages',
+                aperitivo: 'Buffet aperitivo with snacks and cocktails',
+                dinner: 'Apericena with hot dishes and dessert',
+                custom: 'Tailor-made menus, including special dietary needs'
+            },
+            booking: {
+                title: 'How to book',
+                text: 'Write to us with the date, number of guests and kind of party: we reply within two days with a proposal. For groups of up to 12 you can book a table directly.'
+            },
+            contact: 'Ask for a quote',
+            reserve: 'Book a table'
+        },
+        error: {
+            title: "Page not available | A i' centrale",
+            description: 'This page could not be loaded. Check your connection and try again.',
+            titleScript: 'Page not',
+            titleBold: 'AVAILABLE',
+            intro: 'We could not load this page. Check your connection and try again.',
+            retry: 'Try again'
+        }
+    },
+
+    footer: {
+        contact: 'Contact',
+        hours: 'Opening hours',
+        follow: 'Follow us',
+        copyright: "© 2025 A i' centrale. All rights reserved.",
+        backToTop: 'Back to top',
+        legalLabel: 'Information',
+        privacy: 'Privacy',
+        privateEvents: 'Private events'
+    }
+};
\ No newline at end of file
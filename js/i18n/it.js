@@ -0,0 +1,424 @@
+/**
+ * ITALIAN CATALOG - A i' centrale
+ * Default language, matches the markup in index.html
+ */
+
+export default {
+    meta: {
+        title: "A i' centrale | Il Bar dove ogni storia trova il suo spazio",
+        description: "A i' centrale - Bar a Terranuova Bracciolini. Dove ogni storia trova il suo spazio. Caffè, aperitivi e cocktail nel cuore del Valdarno."
+    },
+
+    common: {
+        tagline: 'Il bar dove ogni storia trova il suo spazio'
+    },
+
+    lang: {
+        label: 'Lingua'
+    },
+
+    theme: {
+        dark: 'Tema scuro'
+    },
+
+    nav: {
+        about: 'Chi Siamo',
+        menu: 'Menu',
+        gallery: 'Gallery',
+        events: 'Eventi',
+        contact: 'Contatti',
+        open: 'Apri il menu',
+        close: 'Chiudi il menu'
+    },
+
+    hero: {
+        discover: 'Scopri di più',
+        book: 'Prenota un tavolo',
+        scroll: 'Scorri'
+    },
+
+    about: {
+        titleScript: 'Dove ogni storia',
+        titleBold: 'TROVA IL SUO SPAZIO',
+        text1: "A i' centrale è il battito del Valdarno contemporaneo: un bar che unisce lo spirito autentico del territorio a un'anima moderna e accogliente.",
+        text2: "Nel cuore di Terranuova Bracciolini, siamo diventati il punto di riferimento per chi vive il Valdarno. Dal rito del caffè agli aperitivi curati, ogni visita è un'esperienza che sa di qualità e familiarità.",
+        imageAlt: "Interno di A i' centrale",
+        features: {
+            atmosphere: {
+                title: 'Atmosfera Accogliente',
+                text: 'Un luogo che sa di casa, perfetto per ogni momento della giornata'
+            },
+            quality: {
+                title: 'Qualità Garantita',
+                text: 'Cocktail ricercati e proposte gastronomiche che fanno la differenza'
+            },
+            spirit: {
+                title: 'Spirito Valdarnese',
+                text: 'Tradizione e contemporaneità si incontrano naturalmente'
+            }
+        }
+    },
+
+    menu: {
+        titleScript: 'La nostra',
+        titleBold: 'PROPOSTA',
+        subtitle: 'Dal mattino alla sera, ogni momento ha il suo gusto',
+        cards: {
+            colazioni: {
+                title: 'Colazioni',
+                text: 'Inizia la giornata con il nostro caffè e le nostre specialità dolci'
+            },
+            pranzi: {
+                title: 'Pranzi Veloci',
+                text: 'Panini, pizze e piatti caldi per la tua pausa pranzo'
+            },
+            aperitivi: {
+                title: 'Aperitivi',
+                text: 'Il momento più atteso della giornata, con stuzzichini selezionati'
+            },
+            cocktails: {
+                title: 'Cocktails',
+                text: 'Drink classici e creazioni originali, preparati con cura'
+            }
+        },
+        tabsLabel: 'Categorie del menu',
+        filtersLabel: 'Filtri alimentari',
+        openCategory: 'Vedi il menu {category}',
+        empty: 'Nessuna proposta corrisponde ai filtri selezionati',
+        note: 'Per informazioni sugli allergeni rivolgiti al nostro personale.',
+        fullMenu: 'Vedi il menu completo',
+        unavailable: 'Non disponibile',
+        allergensList: 'Allergeni: {list}',
+        diets: {
+            vegetarian: 'Vegetariano',
+            vegan: 'Vegano',
+            'gluten-free': 'Senza glutine'
+        },
+        allergens: {
+            gluten: 'glutine',
+            crustaceans: 'crostacei',
+            eggs: 'uova',
+            fish: 'pesce',
+            peanuts: 'arachidi',
+            soy: 'soia',
+            milk: 'latte',
+            nuts: 'frutta a guscio',
+            celery: 'sedano',
+            mustard: 'senape',
+            sesame: 'sesamo',
+            sulphites: 'solfiti',
+            lupin: 'lupini',
+            molluscs: 'molluschi'
+        }
+    },
+
+    gallery: {
+        titleScript: 'Il nostro',
+        titleBold: 'MONDO',
+        subtitle: "Scorci, momenti e atmosfere di A i' centrale",
+        all: 'Tutte',
+        filtersLabel: 'Filtra per categoria',
+        loadMore: 'Carica altre',
+        viewImage: 'Apri immagine {index}',
+        lightbox: 'Visualizzatore immagini',
+        close: 'Chiudi',
+        prev: 'Immagine precedente',
+        next: 'Immagine successiva',
+        share: 'Condividi foto',
+        linkCopied: 'Link copiato negli appunti',
+        copyFailed: 'Impossibile copiare il link',
+        play: 'Avvia presentazione',
+        pause: 'Metti in pausa la presentazione'
+    },
+
+    images: {
+        error: 'Immagine non disponibile',
+        blocked: 'Foto ospitata su un servizio esterno',
+        allow: 'Mostra contenuti esterni'
+    },
+
+    events: {
+        titleScript: 'Serate ed',
+        titleBold: 'EVENTI',
+        subtitle: 'Aperitivi, musica dal vivo e degustazioni: segna le date',
+        empty: 'Nessun evento in programma al momento. Torna a trovarci presto!',
+        when: '{date}, {start} – {end}',
+        repeat: {
+            daily_one: 'Ogni giorno',
+            daily_other: 'Ogni {count} giorni',
+            weekly_one: 'Ogni {days}',
+            weekly_other: 'Ogni {count} settimane: {days}',
+            monthly_one: 'Una volta al mese',
+            monthly_other: 'Ogni {count} mesi'
+        },
+        addToCalendar: 'Aggiungi al calendario',
+        addEventToCalendar: 'Aggiungi {title} al calendario',
+        feed: 'Aggiungi tutti al calendario',
+        feedName: "Eventi A i' centrale",
+        all: 'Tutti gli eventi'
+    },
+
+    reservation: {
+        titleScript: 'Prenota il tuo',
+        titleBold: 'TAVOLO',
+        subtitle: 'Scegli giorno, orario e quante persone sarete: al resto pensiamo noi',
+        fields: {
+            partySize: 'Persone',
+            date: 'Data',
+            time: 'Orario',
+            name: 'Nome',
+            phone: 'Telefono',
+            email: 'Email',
+            notes: 'Note',
+            notesPlaceholder: 'Allergie, seggiolone, occasioni speciali...',
+            privacy: 'Acconsento al trattamento dei dati per gestire la prenotazione'
+        },
+        groupHint: 'Per gruppi di più di 12 persone contattaci direttamente.',
+        submit: 'Prenota',
+        slots: {
+            unavailable: 'Prenotazioni online non disponibili: chiamaci per prenotare.',
+            pickDate: 'Scegli una data per vedere gli orari disponibili.',
+            closed: "Il {date} siamo chiusi{reason}. Scegli un'altra data.",
+            none: 'Non ci sono più orari disponibili per questa data.'
+        },
+        errors: {
+            name: 'Inserisci il tuo nome.',
+            email: 'Inserisci un indirizzo email valido.',
+            phone: 'Inserisci un numero di telefono valido.',
+            partySize: 'Puoi prenotare online da 1 a {max} persone.',
+            date: 'Scegli una data.',
+            closed: 'Siamo chiusi in questa data.',
+            window: 'Si può prenotare online fino a {days} giorni prima. Scegli una data più vicina.',
+            time: 'Scegli un orario disponibile.',
+            privacy: 'Devi accettare il trattamento dei dati per prenotare.',
+            submit: 'Non siamo riusciti a inviare la prenotazione. Riprova o chiamaci.'
+        },
+        people_one: '{count} persona',
+        people_other: '{count} persone',
+        confirmation: {
+            title: 'Prenotazione inviata!',
+            summary: 'Tavolo per {people}, {date} alle {time}. Ti abbiamo inviato una conferma a {email}.',
+            addToCalendar: 'Aggiungi al calendario',
+            newBooking: 'Nuova prenotazione',
+            eventTitle: "Tavolo da A i' centrale ({people})"
+        }
+    },
+
+    contact: {
+        title: 'Scrivici',
+        intro: 'Domande, richieste o un saluto: ti rispondiamo il prima possibile.',
+        fields: {
+            name: 'Nome',
+            email: 'Email',
+            phone: 'Telefono',
+            message: 'Messaggio',
+            privacy: 'Acconsento al trattamento dei dati per ricevere una risposta'
+        },
+        privacyLink: 'informativa',
+        counter: '{count}/{max} caratteri',
+        submit: 'Invia messaggio',
+        errors: {
+            name: 'Inserisci il tuo nome.',
+            email: 'Inserisci un indirizzo email valido.',
+            phone: 'Inserisci un numero di telefono valido o lascia il campo vuoto.',
+            message: 'Scrivi almeno {min} caratteri.',
+            messageLength: 'Il messaggio può avere al massimo {max} caratteri.',
+            privacy: 'Devi accettare il trattamento dei dati per inviare il messaggio.'
+        },
+        status: {
+            sent: 'Messaggio inviato, grazie! Ti risponderemo presto.',
+            error: 'Non siamo riusciti a inviare il messaggio. Riprova o scrivici a info@aicentrale.it.',
+            queued: 'Sei offline: il messaggio è salvato e partirà appena torni online.',
+            queuedSent: 'Il messaggio salvato offline è stato inviato.',
+            queuedFailed: 'Non siamo riusciti a inviare il messaggio salvato offline. Scrivici a info@aicentrale.it.',
+            offline: 'Sei offline e non possiamo salvare il messaggio. Riprova quando torni online.'
+        }
+    },
+
+    form: {
+        optional: '(facoltativo)'
+    },
+
+    cta: {
+        titleScript: 'Vieni a trovarci',
+        titleBold: 'OGNI STORIA È BENVENUTA',
+        text: 'Ti aspettiamo per condividere un momento speciale',
+        button: 'Scopri come raggiungerci'
+    },
+
+    hours: {
+        open: 'Aperto ora',
+        closingSoon: 'Chiude a breve',
+        closed: 'Chiuso ora',
+        closedFor: 'Chiuso · {reason}',
+        closesAt: 'Chiude alle {time}',
+        opensToday: 'Apre alle {time}',
+        opensTomorrow: 'Apre domani alle {time}',
+        opensOn: 'Apre {day} alle {time}',
+        opensOnDate: 'Apre il {date} alle {time}',
+        closedAllDay: 'Chiuso',
+        days: {
+            mon: 'Lunedì',
+            tue: 'Martedì',
+            wed: 'Mercoledì',
+            thu: 'Giovedì',
+            fri: 'Venerdì',
+            sat: 'Sabato',
+            sun: 'Domenica'
+        },
+        daysShort: {
+            mon: 'Lun',
+            tue: 'Mar',
+            wed: 'Mer',
+            thu: 'Gio',
+            fri: 'Ven',
+            sat: 'Sab',
+            sun: 'Dom'
+        }
+    },
+
+    consent: {
+        title: 'La tua privacy',
+        text: 'Usiamo solo i cookie tecnici necessari al sito. Con il tuo consenso carichiamo anche font e foto da servizi esterni (Google Fonts, Unsplash) e raccogliamo statistiche anonime sulle visite.',
+        accept: 'Accetta tutto',
+        reject: 'Rifiuta',
+        rejectAll: 'Rifiuta tutto',
+        customize: 'Personalizza',
+        save: 'Salva preferenze',
+        close: 'Chiudi',
+        manage: 'Gestisci cookie',
+        preferencesTitle: 'Preferenze cookie',
+        preferencesIntro: 'Scegli cosa possiamo caricare. Puoi cambiare idea in qualsiasi momento da «Gestisci cookie» in fondo alla pagina.',
+        categories: {
+            necessary: {
+                name: 'Necessari',
+                text: 'Lingua, preferenze e funzionamento offline. Sempre attivi, restano sul tuo dispositivo.'
+            },
+            media: {
+                name: 'Contenuti esterni',
+                text: 'Font di Google Fonts e foto ospitate su Unsplash: questi servizi ricevono il tuo indirizzo IP.'
+            },
+            analytics: {
+                name: 'Statistiche',
+                text: 'Dati anonimi su pagine visitate e interazioni, per migliorare il sito.'
+            }
+        }
+    },
+
+    install: {
+        button: "Installa l'app",
+        iosTitle: 'Aggiungi alla schermata Home',
+        iosStep1: 'Tocca il pulsante Condividi nella barra di Safari',
+        iosStep2: 'Scegli «Aggiungi alla schermata Home»',
+        close: 'Chiudi'
+    },
+
+    offline: {
+        pageTitle: "Sei offline | A i' centrale",
+        titleScript: 'Niente segnale?',
+        titleBold: 'SEI OFFLINE',
+        text: 'Non riusciamo a caricare la pagina. Ecco dove trovarci e quando siamo aperti.',
+        retry: 'Riprova'
+    },
+
+    update: {
+        available: 'È disponibile una nuova versione del sito.',
+        reload: 'Aggiorna',
+        dismiss: 'Più tardi'
+    },
+
+    performance: {
+        close: 'Chiudi le metriche'
+    },
+
+    pages: {
+        back: 'Torna alla home',
+        menu: {
+            title: "Menu | A i' centrale",
+            description: "Il menu completo di A i' centrale: colazioni, pranzi, aperitivi e cocktail, con filtri per esigenze alimentari.",
+            titleScript: 'Il nostro',
+            titleBold: 'MENU COMPLETO',
+            intro: 'Tutte le proposte del giorno, dalla colazione al dopocena. Filtra per categoria o per esigenze alimentari.'
+        },
+        events: {
+            title: "Eventi | A i' centrale",
+            description: "Aperitivi, musica dal vivo e degustazioni da A i' centrale: il calendario dei prossimi tre mesi.",
+            titleScript: 'Il calendario delle',
+            titleBold: 'SERATE',
+            intro: 'Tutti gli appuntamenti dei prossimi tre mesi: aggiungili al tuo calendario per non perderli.'
+        },
+        privacy: {
+            title: "Privacy | A i' centrale",
+            description: "Come A i' centrale tratta i dati di chi visita il sito e prenota un tavolo.",
+            titleScript: 'Informativa sulla',
+            titleBold: 'PRIVACY',
+            intro: 'Come trattiamo i dati di chi visita il sito e prenota un tavolo.',
+            controller: {
+                title: 'Titolare del trattamento',
+                text: "A i' centrale, Terranuova Bracciolini (AR). Per qualsiasi richiesta sui tuoi dati scrivi a info@aicentrale.it."
+            },
+            data: {
+                title: 'Quali dati raccogliamo',
+                text: 'Nome, telefono ed email che inserisci nei moduli di prenotazione e di contatto, insieme a data, orario, numero di persone, note e al testo dei messaggi. Con il tuo consenso raccogliamo anche statistiche anonime sulle visite.'
+            },
+            purposes: {
+                title: 'Perché li usiamo',
+                text: 'Per confermare e gestire la prenotazione, rispondere ai messaggi e migliorare il sito. Non vendiamo i dati e non li usiamo per pubblicità.'
+            },
+            storage: {
+                title: 'Cosa resta sul tuo dispositivo',
+                text: 'Lingua, tema e scelte sui cookie sono salvati nel browser, insieme alle pagine necessarie per usare il sito offline e ai messaggi scritti senza connessione, finché non vengono inviati. Le scelte sui cookie valgono 180 giorni, poi te le chiediamo di nuovo.'
+            },
+            thirdParties: {
+                title: 'Servizi esterni',
+                text: 'Solo se acconsenti carichiamo font da Google Fonts e foto da Unsplash: questi servizi ricevono il tuo indirizzo IP.'
+            },
+            rights: {
+                title: 'I tuoi diritti',
+                text: 'Puoi chiedere di accedere ai tuoi dati, correggerli o cancellarli, e puoi rivolgerti al Garante per la protezione dei dati personali. I dati delle prenotazioni sono conservati solo per il tempo necessario a gestirle.'
+            }
+        },
+        privateEvents: {
+            title: "Eventi privati | A i' centrale",
+            description: "Compleanni, lauree e aperitivi aziendali da A i' centrale: spazi, formule e come prenotare.",
+            titleScript: 'Festeggia da noi',
+            titleBold: 'EVENTI PRIVATI',
+            intro: 'Compleanni, lauree, aperitivi aziendali: il locale può essere tuo per una sera.',
+            spaces: {
+                title: 'Gli spazi',
+                text: "La sala interna accoglie fino a 40 persone sedute, il dehors altre 30 nella bella stagione. Possiamo riservare una zona o l'intero locale."
+            },
+            formulas: {
+                title: 'Le formule',
+                aperitivo: 'Aperitivo a buffet con stuzzichini e cocktail',
+                dinner: 'Apericena con piatti caldi e dolce',
+                custom: 'Menu su misura, anche per esigenze alimentari particolari'
+            },
+            booking: {
+                title: 'Come prenotare',
+                text: 'Scrivici con data, numero di ospiti e il tipo di festa: ti rispondiamo entro due giorni con una proposta. Per gruppi fino a 12 persone puoi prenotare direttamente un tavolo.'
+            },
+            contact: 'Chiedi un preventivo',
+            reserve: 'Prenota un tavolo'
+        },
+        error: {
+            title: "Pagina non disponibile | A i' centrale",
+            description: 'Non è stato possibile caricare la pagina. Controlla la connessione e riprova.',
+            titleScript: 'Pagina non',
+            titleBold: 'DISPONIBILE',
+            intro: 'Non siamo riusciti a caricare la pagina. Controlla la connessione e riprova.',
+            retry: 'Riprova'
+        }
+    },
+
+    footer: {
+        contact: 'Contatti',
+        hours: 'Orari',
+        follow: 'Seguici',
+        copyright: "© 2025 A i' centrale. Tutti i diritti riservati.",
+        backToTop: 'Torna su',
+        legalLabel: 'Informazioni',
+        privacy: 'Privacy',
+        privateEvents: 'Eventi privati'
+    }
+};
\ No newline at end of file
@@ -4,14 +4,31 @@
  * Imports and initializes all modules
  */
 
+// Import core
+import { registerModule, startModules } from './core/kernel.js';
+import { store } from './core/store.js';
+import { onScroll, onThreshold } from './core/scroll.js';
+
 // Import modules
+import { initI18n } from './modules/i18n.js';
+import { initConsent } from './modules/consent.js';
+import { initTheme } from './modules/theme.js';
+import { initAnalytics, destroyAnalytics } from './modules/analytics.js';
+import { initPerformance, destroyPerformance } from './modules/performance.js';
 import { initNavigation } from './modules/navigation.js';
-import { initScrollAnimations } from './modules/scroll-animations.js';
-import { initGallery } from './modules/gallery.js';
-import { initMobileMenu } from './modules/mobile-menu.js';
-
-// Import utilities
-import { debounce } from './utils/helpers.js';
+import { initScrollAnimations, destroyScrollAnimations } from './modules/scroll-animations.js';
+import { initScrollEffects, destroyScrollEffects } from './modules/scroll-effects.js';
+import { initImages } from './modules/images.js';
+import { initGallery, destroyGallery } from './modules/gallery.js';
+import { initMobileMenu, destroyMobileMenu } from './modules/mobile-menu.js';
+import { initOpeningHours, destroyOpeningHours } from './modules/opening-hours.js';
+import { initMenu } from './modules/menu.js';
+import { initEvents, destroyEvents } from './modules/events.js';
+import { initReservation, destroyReservation } from './modules/reservation.js';
+import { initContact, destroyContact } from './modules/contact.js';
+import { initServiceWorker, destroyServiceWorker } from './modules/service-worker.js';
+import { initInstall } from './modules/install.js';
+import { initRouter } from './modules/router.js';
 
 /**
  * Initialize all modules when DOM is ready
@@ -19,23 +36,46 @@ import { debounce } from './utils/helpers.js';
 document.addEventListener('DOMContentLoaded', () => {
     console.log('🍊 A i\' centrale - Website initialized');
     
-    // Initialize modules
-    initNavigation();
-    initScrollAnimations();
-    initGallery();
-    initMobileMenu();
+    // Register modules (the kernel starts dependencies first:
+    // i18n before the modules that render translated text,
+    // consent before the modules that load third-party resources,
+    // navigation before the modules that bind the links it renders)
+    registerModule({ name: 'i18n', init: initI18n });
+    registerModule({ name: 'consent', init: initConsent });
+    registerModule({ name: 'theme', init: initTheme });
+    registerModule({ name: 'analytics', deps: ['consent'], init: initAnalytics, destroy: destroyAnalytics });
+    registerModule({ name: 'performance', deps: ['i18n', 'consent'], init: initPerformance, destroy: destroyPerformance });
+    registerModule({ name: 'navigation', deps: ['i18n', 'analytics'], init: initNavigation });
+    registerModule({ name: 'scroll-animations', init: initScrollAnimations, destroy: destroyScrollAnimations });
+    registerModule({ name: 'scroll-effects', deps: ['scroll-animations'], init: initScrollEffects, destroy: destroyScrollEffects });
+    registerModule({ name: 'images', deps: ['i18n', 'consent'], init: initImages });
+    registerModule({ name: 'gallery', deps: ['i18n', 'images', 'analytics'], init: initGallery, destroy: destroyGallery });
+    registerModule({ name: 'mobile-menu', deps: ['i18n', 'analytics', 'navigation'], init: initMobileMenu, destroy: destroyMobileMenu });
+    registerModule({ name: 'opening-hours', deps: ['i18n'], init: initOpeningHours, destroy: destroyOpeningHours });
+    registerModule({ name: 'menu', deps: ['i18n'], init: initMenu });
+    registerModule({ name: 'events', deps: ['i18n'], init: initEvents, destroy: destroyEvents });
+    registerModule({ name: 'reservation', deps: ['i18n'], init: initReservation, destroy: destroyReservation });
+    registerModule({ name: 'contact', deps: ['i18n'], init: initContact, destroy: destroyContact });
+    registerModule({ name: 'service-worker', deps: ['i18n'], init: initServiceWorker, destroy: destroyServiceWorker });
+    registerModule({ name: 'install', init: initInstall });
+    // Last: a #/ deep link restarts the page modules on the loaded template
+    registerModule({ name: 'router', deps: ['i18n'], init: initRouter });
     
-    // Initialize other features
-    initPageLoader();
-    initScrollToTop();
-    initSmoothScroll();
-    initHeaderScroll();
+    // Other features
+    registerModule({ name: 'page-loader', init: initPageLoader });
+    registerModule({ name: 'scroll-to-top', init: initScrollToTop });
+    registerModule({ name: 'smooth-scroll', deps: ['navigation'], init: initSmoothScroll });
+    registerModule({ name: 'header-scroll', init: initHeaderScroll });
+    registerModule({ name: 'reading-progress', init: initReadingProgress });
+    
+    startModules();
 });
 
 /**
  * Page loader - Hide after page is fully loaded
+ * @param {Object} context - Kernel context ({signal})
  */
-function initPageLoader() {
+function initPageLoader({ signal } = {}) {
     const loader = document.querySelector('.page-loader');
     
     if (loader) {
@@ -47,32 +87,23 @@ function initPageLoader() {
                     loader.remove();
                 }, 500);
             }, 300);
-        });
+        }, { signal });
     }
 }
 
 /**
  * Scroll to top button
+ * @param {Object} context - Kernel context ({signal})
  */
-function initScrollToTop() {
+function initScrollToTop({ signal } = {}) {
     const scrollBtn = document.querySelector('.footer__scroll-top');
     
     if (!scrollBtn) return;
     
     // Show/hide button based on scroll position
-    const toggleButton = () => {
-        if (window.scrollY > 300) {
-            scrollBtn.classList.add('footer__scroll-top--visible');
-        } else {
-            scrollBtn.classList.remove('footer__scroll-top--visible');
-        }
-    };
-    
-    // Initial check
-    toggleButton();
-    
-    // Listen to scroll with debounce for performance
-    window.addEventListener('scroll', debounce(toggleButton, 100));
+    onThreshold(300, (isPast) => {
+        scrollBtn.classList.toggle('footer__scroll-top--visible', isPast);
+    }, { signal });
     
     // Scroll to top on click
     scrollBtn.addEventListener('click', () => {
@@ -80,22 +111,25 @@ function initScrollToTop() {
             top: 0,
             behavior: 'smooth'
         });
-    });
+    }, { signal });
 }
 
 /**
  * Smooth scroll for anchor links
+ * @param {Object} context - Kernel context ({signal})
  */
-function initSmoothScroll() {
+function initSmoothScroll({ signal } = {}) {
     const links = document.querySelectorAll('a[href^="#"]');
     
     links.forEach(link => {
         link.addEventListener('click', (e) => {
             const href = link.getAttribute('href');
             
-            // Skip if href is just "#"
-            if (href === '#') return;
+            // Skip if href is just "#" and leave #/ routes to the router
+            if (href === '#' || href.startsWith('#/')) return;
             
+            // On a #/ page the home sections are detached: the browser
+            // navigates and the router brings them back first
             const target = document.querySelector(href);
             
             if (target) {
@@ -115,88 +149,58 @@ function initSmoothScroll() {
                 });
                 
                 // Update URL without jumping
+                // (the mobile menu closes itself on link click)
                 history.pushState(null, '', href);
-                
-                // Close mobile menu if open
-                const mobileMenu = document.querySelector('.header__nav--mobile');
-                if (mobileMenu && mobileMenu.classList.contains('nav--open')) {
-                    document.body.classList.remove('menu-open');
-                    mobileMenu.classList.remove('nav--open');
-                    document.querySelector('.header__burger')?.classList.remove('header__burger--active');
-                }
             }
-        });
+        }, { signal });
     });
 }
 
 /**
  * Header scroll effect
- * Add class to header when scrolled
+ * Solid background once scrolled; hidden while scrolling down, back on scroll up
+ * @param {Object} context - Kernel context ({signal})
  */
-function initHeaderScroll() {
+function initHeaderScroll({ signal } = {}) {
     const header = document.querySelector('.header');
     
     if (!header) return;
     
-    const toggleHeaderClass = () => {
-        if (window.scrollY > 50) {
-            header.classList.add('header--scrolled');
-        } else {
-            header.classList.remove('header--scrolled');
-        }
-    };
+    onThreshold(50, (isPast) => {
+        header.classList.toggle('header--scrolled', isPast);
+    }, { signal });
+    
+    onScroll(({ y, direction }) => {
+        // Keep it while the menu is open or something in it has focus
+        const keep = store.get('menuOpen') || header.contains(document.activeElement);
+        const hide = direction === 'down' && y > header.offsetHeight && !keep;
+        
+        header.classList.toggle('header--hidden', hide);
+    }, { signal });
     
-    // Initial check
-    toggleHeaderClass();
+    // Keyboard users tabbing into a hidden header
+    header.addEventListener('focusin', () => {
+        header.classList.remove('header--hidden');
+    }, { signal });
     
-    // Listen to scroll with debounce
-    window.addEventListener('scroll', debounce(toggleHeaderClass, 50));
+    store.subscribe('menuOpen', (isOpen) => {
+        if (isOpen) header.classList.remove('header--hidden');
+    }, { signal });
 }
 
 /**
- * Handle window resize
- * Update various components on resize
+ * Reading progress bar under the header
+ * @param {Object} context - Kernel context ({signal})
  */
-let resizeTimer;
-window.addEventListener('resize', () => {
-    // Clear existing timer
-    clearTimeout(resizeTimer);
+function initReadingProgress({ signal } = {}) {
+    const bar = document.querySelector('.reading-progress__bar');
     
-    // Set new timer
-    resizeTimer = setTimeout(() => {
-        console.log('Window resized');
-        
-        // Close mobile menu on resize to desktop
-        if (window.innerWidth >= 1024) {
-            const mobileMenu = document.querySelector('.header__nav--mobile');
-            if (mobileMenu && mobileMenu.classList.contains('nav--open')) {
-                document.body.classList.remove('menu-open');
-                mobileMenu.classList.remove('nav--open');
-                document.querySelector('.header__burger')?.classList.remove('header__burger--active');
-            }
-        }
-        
-        // Recalculate scroll animations
-        if (window.scrollAnimationObserver) {
-            window.scrollAnimationObserver.disconnect();
-            initScrollAnimations();
-        }
-    }, 250);
-});
-
-/**
- * Handle visibility change
- * Pause animations when tab is not visible
- */
-document.addEventListener('visibilitychange', () => {
-    if (document.hidden) {
-        console.log('Page hidden - pausing animations');
-        // Pause any ongoing animations or timers here
-    } else {
-        console.log('Page visible - resuming animations');
-        // Resume animations or timers here
-    }
-});
+    if (!bar) return;
+    
+    onScroll(({ progress }) => {
+        bar.style.transform = `scaleX(${progress})`;
+    }, { signal });
+}
 
 /**
  * Detect touch device
@@ -212,25 +216,6 @@ function detectTouchDevice() {
 
 detectTouchDevice();
 
-/**
- * Log performance metrics (development only)
- */
-if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-    window.addEventListener('load', () => {
-        if (window.performance && window.performance.timing) {
-            const perfData = window.performance.timing;
-            const pageLoadTime = perfData.loadEventEnd - perfData.navigationStart;
-            const connectTime = perfData.responseEnd - perfData.requestStart;
-            const renderTime = perfData.domComplete - perfData.domLoading;
-            
-            console.log('📊 Performance Metrics:');
-            console.log(`Page Load Time: ${pageLoadTime}ms`);
-            console.log(`Server Connect Time: ${connectTime}ms`);
-            console.log(`DOM Render Time: ${renderTime}ms`);
-        }
-    });
-}
-
 /**
  * Handle errors globally (development)
  */
@@ -245,5 +230,6 @@ export {
     initPageLoader,
     initScrollToTop,
     initSmoothScroll,
-    initHeaderScroll
+    initHeaderScroll,
+    initReadingProgress
 };
\ No newline at end of file
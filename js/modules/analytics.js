@@ -0,0 +1,249 @@
+/**
+ * ANALYTICS MODULE - A i' centrale
+ * Privacy-friendly event bus: modules emit events, pluggable sinks receive them in batches
+ */
+
+import { hasConsent, onConsentChange } from './consent.js';
+import { getQueryParam } from '../utils/helpers.js';
+
+// Events are sent in batches: when the queue is full or after a quiet moment
+const BATCH_SIZE = 10;
+const FLUSH_DELAY = 5000;   // ms
+
+// Debug sink: enabled with ?analytics=debug, off again with ?analytics=off
+const DEBUG_PARAM = 'analytics';
+const DEBUG_KEY = 'aicentrale-analytics-debug';
+const LOG_KEY = 'aicentrale-analytics-log';
+const LOG_LIMIT = 200;
+
+// Only short, non-identifying values are kept in the properties
+const MAX_VALUE_LENGTH = 60;
+
+const sinks = [];
+let queue = [];
+let flushTimer = null;
+
+/**
+ * Initialize analytics
+ * Must run after consent: nothing is collected without the 'analytics' category
+ * @param {Object} context - Kernel context ({signal})
+ */
+export function initAnalytics({ signal } = {}) {
+    console.log('📈 Analytics module initialized');
+
+    const endpoint = document.querySelector('meta[name="analytics-endpoint"]');
+
+    if (endpoint && endpoint.content) {
+        addSink(createBeaconSink(endpoint.content));
+    }
+
+    if (isLocalhost()) {
+        addSink(createConsoleSink());
+    }
+
+    if (isDebugEnabled()) {
+        addSink(createStorageSink());
+    }
+
+    // Revoking consent drops whatever is still waiting
+    onConsentChange(categories => {
+        if (!categories.analytics) {
+            queue = [];
+            clearTimeout(flushTimer);
+        }
+    }, { signal });
+
+    // CTA clicks: any element with data-track="<event name>"
+    document.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-track]');
+
+        if (target) {
+            track(target.dataset.track, { label: target.dataset.trackLabel });
+        }
+    }, { signal });
+
+    // Last chance to send: the page may never become visible again
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            flush();
+        }
+    }, { signal });
+    window.addEventListener('pagehide', flush, { signal });
+}
+
+/**
+ * Send what is queued and remove the sinks
+ */
+export function destroyAnalytics() {
+    flush();
+    sinks.length = 0;
+}
+
+/**
+ * Register a sink
+ * @param {Object} sink - {name, send(events)} where events is an array of batched events
+ */
+export function addSink(sink) {
+    if (!sinks.some(existing => existing.name === sink.name)) {
+        sinks.push(sink);
+    }
+}
+
+/**
+ * Emit an event
+ * Dropped without analytics consent. Events carry no identifiers: no user or
+ * session id, no user agent, only the page path and the language.
+ * @param {string} name - Event name, e.g. 'gallery_open'
+ * @param {Object} props - Extra properties (short strings, numbers, booleans)
+ */
+export function track(name, props = {}) {
+    if (!hasConsent('analytics') || sinks.length === 0) return;
+
+    queue.push({
+        name,
+        props: sanitizeProps(props),
+        time: Date.now(),
+        path: window.location.pathname,
+        lang: document.documentElement.lang
+    });
+
+    if (queue.length >= BATCH_SIZE) {
+        flush();
+    } else {
+        clearTimeout(flushTimer);
+        flushTimer = setTimeout(flush, FLUSH_DELAY);
+    }
+}
+
+/**
+ * Send the queued events to every sink
+ */
+export function flush() {
+    clearTimeout(flushTimer);
+
+    if (queue.length === 0) return;
+
+    const events = queue;
+    queue = [];
+
+    sinks.forEach(sink => {
+        try {
+            sink.send(events);
+        } catch (err) {
+            // A broken sink must not break the others (or the page)
+            console.warn(`Analytics sink "${sink.name}" failed:`, err);
+        }
+    });
+}
+
+/**
+ * Keep only primitive values, cut to a short length
+ * Query strings and free text could carry personal data, so nested
+ * objects are dropped and long strings truncated.
+ * @param {Object} props - Event properties
+ * @returns {Object} Safe properties
+ */
+function sanitizeProps(props) {
+    const safe = {};
+
+    Object.entries(props).forEach(([key, value]) => {
+        if (typeof value === 'string') {
+            safe[key] = value.slice(0, MAX_VALUE_LENGTH);
+        } else if (typeof value === 'number' || typeof value === 'boolean') {
+            safe[key] = value;
+        }
+    });
+
+    return safe;
+}
+
+/**
+ * Console sink (development)
+ * @returns {Object} Sink
+ */
+export function createConsoleSink() {
+    return {
+        name: 'console',
+        send(events) {
+            console.log(`📈 Analytics batch (${events.length})`, events);
+        }
+    };
+}
+
+/**
+ * Beacon sink: POSTs the batch as JSON, survives page unload
+ * @param {string} endpoint - URL to send to
+ * @returns {Object} Sink
+ */
+export function createBeaconSink(endpoint) {
+    return {
+        name: 'beacon',
+        send(events) {
+            const body = JSON.stringify({ events });
+
+            if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+                return;
+            }
+
+            // Beacon unavailable or queue full
+            fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(() => {
+                // Analytics are best effort
+            });
+        }
+    };
+}
+
+/**
+ * Local storage sink (debugging): keeps the latest events in the browser
+ * @param {string} key - Storage key (default: aicentrale-analytics-log)
+ * @param {number} limit - Maximum stored events (default: 200)
+ * @returns {Object} Sink
+ */
+export function createStorageSink(key = LOG_KEY, limit = LOG_LIMIT) {
+    return {
+        name: 'storage',
+        send(events) {
+            try {
+                const log = JSON.parse(localStorage.getItem(key)) || [];
+                const updated = log.concat(events).slice(-limit);
+                localStorage.setItem(key, JSON.stringify(updated));
+            } catch (err) {
+                // Storage blocked or full - nothing to debug then
+            }
+        }
+    };
+}
+
+/**
+ * Check if the page runs on the developer's machine
+ * @returns {boolean} True on localhost
+ */
+function isLocalhost() {
+    return window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+}
+
+/**
+ * Check (and remember) the debug flag from the URL
+ * @returns {boolean} True if the storage sink should be enabled
+ */
+function isDebugEnabled() {
+    const param = getQueryParam(DEBUG_PARAM);
+
+    try {
+        if (param === 'debug') {
+            localStorage.setItem(DEBUG_KEY, '1');
+        } else if (param === 'off') {
+            localStorage.removeItem(DEBUG_KEY);
+            localStorage.removeItem(LOG_KEY);
+        }
+
+        return localStorage.getItem(DEBUG_KEY) === '1';
+    } catch (err) {
+        return param === 'debug';
+    }
+}
\ No newline at end of file
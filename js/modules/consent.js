@@ -0,0 +1,261 @@
+/**
+ * CONSENT MODULE - A i' centrale
+ * Cookie and privacy consent: banner, preferences dialog and gating
+ * of third-party resources (fonts, external images, analytics)
+ */
+
+import { openDialog, closeDialog } from '../utils/dialog.js';
+import { store } from '../core/store.js';
+
+const STORAGE_KEY = 'aicentrale-consent';
+
+// Bump when the categories or the privacy notice change: everyone is asked again
+const CONSENT_VERSION = 1;
+
+// The Italian DPA (Garante) guidelines: don't ask again for at least 6 months
+const EXPIRY_DAYS = 180;
+
+// 'necessary' is always on and cannot be refused
+const CATEGORIES = ['necessary', 'media', 'analytics'];
+
+const FONTS_URL = 'https://fonts.googleapis.com/css2?family=Bebas+Neue&family=Pacifico&display=swap';
+
+let banner = null;
+let dialog = null;
+
+/**
+ * Initialize consent
+ * Must run before the modules that load third-party resources
+ * @param {Object} context - Kernel context ({signal})
+ */
+export function initConsent({ signal } = {}) {
+    console.log('🍪 Consent module initialized');
+
+    banner = document.querySelector('.consent-banner');
+    dialog = document.querySelector('.consent-dialog');
+    store.set('consent', readConsent());
+
+    // Subscribed first, so CSS classes and fonts are updated before the other modules react
+    store.subscribe('consent', applyConsent, { signal });
+    applyConsent();
+
+    if (!store.get('consent') && banner) {
+        banner.hidden = false;
+    }
+
+    document.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-consent-action]');
+        const open = e.target.closest('[data-consent-open]');
+        const accept = e.target.closest('[data-consent-accept]');
+
+        if (action) {
+            handleAction(action.dataset.consentAction, action);
+        } else if (open) {
+            openPreferences(open);
+        } else if (accept) {
+            updateConsent({ [accept.dataset.consentAccept]: true });
+        }
+    }, { signal });
+
+    if (dialog) {
+        dialog.querySelector('form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveFromDialog();
+        }, { signal });
+
+        dialog.addEventListener('click', (e) => {
+            // Close button or click on the backdrop
+            if (e.target === dialog || e.target.closest('.consent-dialog__close')) {
+                closePreferences();
+            }
+        }, { signal });
+    }
+}
+
+/**
+ * Read the stored consent
+ * Old versions and expired choices count as no choice.
+ * @returns {Object|null} Consent ({version, date, expires, categories}) or null
+ */
+function readConsent() {
+    let stored = null;
+
+    try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (err) {
+        // Storage blocked or corrupted - ask again
+    }
+
+    if (!stored || stored.version !== CONSENT_VERSION || !stored.categories) {
+        return null;
+    }
+
+    if (new Date(stored.expires) <= new Date()) {
+        return null;
+    }
+
+    return stored;
+}
+
+/**
+ * Store the consent choice
+ * Without storage the choice lasts for the current page only.
+ * @param {Object} categories - Category id -> granted
+ */
+function writeConsent(categories) {
+    const now = new Date();
+    const expires = new Date(now.getTime() + EXPIRY_DAYS * 86400000);
+
+    const consent = {
+        version: CONSENT_VERSION,
+        date: now.toISOString(),
+        expires: expires.toISOString(),
+        categories
+    };
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(consent));
+    } catch (err) {
+        // Storage blocked (private mode) - keep it in memory
+    }
+
+    store.set('consent', consent);
+}
+
+/**
+ * Check if a category was granted
+ * @param {string} category - 'necessary', 'media' or 'analytics'
+ * @returns {boolean} True if allowed
+ */
+export function hasConsent(category) {
+    if (category === 'necessary') return true;
+    const consent = store.get('consent');
+    return Boolean(consent && consent.categories[category]);
+}
+
+/**
+ * Change some categories and keep the others as they are
+ * @param {Object} changes - Category id -> granted
+ */
+export function updateConsent(changes) {
+    const categories = {};
+
+    CATEGORIES.forEach(category => {
+        categories[category] = category === 'necessary' ||
+            (category in changes ? Boolean(changes[category]) : hasConsent(category));
+    });
+
+    if (banner) {
+        banner.hidden = true;
+    }
+
+    writeConsent(categories);
+}
+
+/**
+ * Subscribe to consent changes
+ * @param {Function} callback - Called with the granted categories
+ * @param {Object} options - {signal}: unsubscribe when the signal aborts
+ */
+export function onConsentChange(callback, options) {
+    store.subscribe('consent', consent => callback(consent.categories), options);
+}
+
+/**
+ * Apply the current choice: classes for CSS gating and the web fonts
+ */
+function applyConsent() {
+    const root = document.documentElement;
+
+    CATEGORIES.forEach(category => {
+        root.classList.toggle(`consent-${category}`, hasConsent(category));
+    });
+
+    toggleFonts(hasConsent('media'));
+}
+
+/**
+ * Load or remove the Google Fonts stylesheet
+ * Until then the fallback fonts of the font stacks are used.
+ * @param {boolean} enabled - Whether fonts are allowed
+ */
+function toggleFonts(enabled) {
+    const existing = document.querySelector('link[data-consent-fonts]');
+
+    if (!enabled) {
+        if (existing) existing.remove();
+        return;
+    }
+
+    if (existing) return;
+
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = FONTS_URL;
+    link.dataset.consentFonts = '';
+    document.head.appendChild(link);
+}
+
+/**
+ * Handle banner and dialog buttons
+ * @param {string} action - 'accept', 'reject' or 'customize'
+ * @param {HTMLElement} trigger - Clicked button
+ */
+function handleAction(action, trigger) {
+    switch (action) {
+        case 'accept':
+            updateConsent({ media: true, analytics: true });
+            closePreferences();
+            break;
+        case 'reject':
+            updateConsent({ media: false, analytics: false });
+            closePreferences();
+            break;
+        case 'customize':
+            openPreferences(trigger);
+            break;
+    }
+}
+
+/**
+ * Open the preferences dialog with the current choice
+ * @param {HTMLElement} trigger - Element to focus on close
+ */
+export function openPreferences(trigger) {
+    if (!dialog) return;
+
+    dialog.querySelectorAll('input[name]').forEach(input => {
+        input.checked = hasConsent(input.name);
+    });
+
+    dialog.hidden = false;
+    openDialog(dialog, {
+        trigger,
+        initialFocus: dialog.querySelector('.consent-dialog__close'),
+        onDismiss: closePreferences
+    });
+}
+
+/**
+ * Close the preferences dialog
+ */
+function closePreferences() {
+    if (!dialog || dialog.hidden) return;
+
+    closeDialog(dialog);
+    dialog.hidden = true;
+}
+
+/**
+ * Save the categories checked in the dialog
+ */
+function saveFromDialog() {
+    const changes = {};
+
+    dialog.querySelectorAll('input[name]').forEach(input => {
+        changes[input.name] = input.checked;
+    });
+
+    updateConsent(changes);
+    closePreferences();
+}
\ No newline at end of file
@@ -0,0 +1,448 @@
+/**
+ * CONTACT MODULE - A i' centrale
+ * Footer contact form with validation, character counter, spam traps
+ * and an offline queue: messages written without network are kept in
+ * IndexedDB and sent when the connection comes back
+ */
+
+import { isValidEmail, isValidPhone, truncate } from '../utils/helpers.js';
+import { addToOutbox, getOutbox, getOutboxEntry, updateOutboxEntry, removeFromOutbox } from '../utils/outbox.js';
+import { t, onLanguageChange, getLanguage } from './i18n.js';
+
+const MESSAGE_MIN_LENGTH = 10;
+const MESSAGE_MAX_LENGTH = 1000;
+
+// The counter turns to a warning when this few characters are left
+const COUNTER_WARNING = 100;
+
+// People need longer than this to fill the form in: faster submissions are bots
+const MIN_FILL_TIME = 3000;        // ms
+
+// Queued messages: the delay doubles after each failed attempt, up to the max
+const RETRY_BASE_DELAY = 5000;     // ms
+const RETRY_MAX_DELAY = 300000;    // ms
+const MAX_ATTEMPTS = 10;
+
+let form = null;
+let renderedAt = 0;
+let retryTimer = null;
+let flushing = null;        // Flush in progress
+let flushAgain = null;      // Options of the flushes asked for meanwhile
+
+/**
+ * Initialize the contact form
+ * The endpoint is the form's action attribute.
+ * @param {Object} context - Kernel context ({signal})
+ */
+export function initContact({ signal } = {}) {
+    console.log('✉️ Contact module initialized');
+
+    form = document.querySelector('.contact__form');
+
+    if (!form) {
+        return;
+    }
+
+    // Client-side validation replaces the browser bubbles
+    form.setAttribute('novalidate', '');
+    form.elements.message.maxLength = MESSAGE_MAX_LENGTH;
+    renderedAt = Date.now();
+    updateCounter();
+
+    form.addEventListener('input', (e) => {
+        if (e.target.name) {
+            clearFieldError(e.target.name);
+        }
+
+        if (e.target === form.elements.message) {
+            updateCounter();
+        }
+    }, { signal });
+
+    form.addEventListener('submit', handleSubmit, { signal });
+
+    onLanguageChange(updateCounter, { signal });
+
+    // Back online: send what was queued without waiting for the next retry
+    window.addEventListener('online', () => flushOutbox({ force: true }), { signal });
+
+    // Messages queued in an earlier visit
+    flushOutbox();
+}
+
+/**
+ * Stop the retries (the queue stays for the next start)
+ */
+export function destroyContact() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    form = null;
+}
+
+/**
+ * Validate contact data
+ * @param {Object} data - Form values
+ * @returns {Object} Error messages keyed by field name (empty when valid)
+ */
+export function validateContact(data) {
+    const errors = {};
+    const message = (data.message || '').trim();
+
+    if (!data.name || data.name.trim().length < 2) {
+        errors.name = t('contact.errors.name');
+    }
+
+    if (!isValidEmail(data.email || '')) {
+        errors.email = t('contact.errors.email');
+    }
+
+    // Optional, but it has to be reachable when given
+    if (data.phone && !isValidPhone(data.phone.trim())) {
+        errors.phone = t('contact.errors.phone');
+    }
+
+    if (message.length < MESSAGE_MIN_LENGTH) {
+        errors.message = t('contact.errors.message', { min: MESSAGE_MIN_LENGTH });
+    } else if (message.length > MESSAGE_MAX_LENGTH) {
+        errors.message = t('contact.errors.messageLength', { max: MESSAGE_MAX_LENGTH });
+    }
+
+    if (!data.privacy) {
+        errors.privacy = t('contact.errors.privacy');
+    }
+
+    return errors;
+}
+
+/**
+ * Collect form values
+ * @returns {Object} Contact data
+ */
+function getFormData() {
+    const elements = form.elements;
+
+    return {
+        name: elements.name.value.trim(),
+        email: elements.email.value.trim(),
+        phone: elements.phone.value.trim(),
+        message: elements.message.value.trim(),
+        privacy: elements.privacy.checked
+    };
+}
+
+/**
+ * Update the character counter
+ * Text pasted past the limit is cut, maxlength does not stop every browser.
+ */
+function updateCounter() {
+    const field = form.elements.message;
+    const counter = form.querySelector('.contact__counter');
+
+    if (field.value.length > MESSAGE_MAX_LENGTH) {
+        field.value = truncate(field.value, MESSAGE_MAX_LENGTH, '');
+    }
+
+    if (!counter) return;
+
+    counter.textContent = t('contact.counter', { count: field.value.length, max: MESSAGE_MAX_LENGTH });
+    counter.classList.toggle('contact__counter--warning', MESSAGE_MAX_LENGTH - field.value.length <= COUNTER_WARNING);
+}
+
+/**
+ * Check the spam traps
+ * The honeypot field is hidden from people; bots fill it in, and fast.
+ * @returns {boolean} True if the submission looks automated
+ */
+function isSpam() {
+    const honeypot = form.elements.website;
+
+    return Boolean(honeypot && honeypot.value) || Date.now() - renderedAt < MIN_FILL_TIME;
+}
+
+/**
+ * Show an inline error for a field
+ * @param {string} name - Field name
+ * @param {string} message - Error message
+ */
+function showFieldError(name, message) {
+    const error = form.querySelector(`[data-error-for="${name}"]`);
+    const field = form.elements[name];
+
+    if (error) {
+        error.textContent = message;
+        error.hidden = false;
+    }
+
+    if (field) {
+        field.setAttribute('aria-invalid', 'true');
+    }
+}
+
+/**
+ * Clear the inline error of a field
+ * @param {string} name - Field name
+ */
+function clearFieldError(name) {
+    const error = form.querySelector(`[data-error-for="${name}"]`);
+    const field = form.elements[name];
+
+    if (error) {
+        error.textContent = '';
+        error.hidden = true;
+    }
+
+    if (field && field.removeAttribute) {
+        field.removeAttribute('aria-invalid');
+    }
+}
+
+/**
+ * Handle form submit
+ * @param {SubmitEvent} e - Submit event
+ */
+async function handleSubmit(e) {
+    e.preventDefault();
+
+    const data = getFormData();
+    const errors = validateContact(data);
+
+    Object.keys(data).forEach(clearFieldError);
+    Object.entries(errors).forEach(([name, message]) => showFieldError(name, message));
+
+    if (Object.keys(errors).length > 0) {
+        form.elements[Object.keys(errors)[0]].focus();
+        return;
+    }
+
+    // Bots get the same answer as people, so they learn nothing
+    if (isSpam()) {
+        console.warn('Contact message dropped by the spam traps');
+        announce(t('contact.status.sent'), 'success');
+        resetForm();
+        return;
+    }
+
+    const submitBtn = form.querySelector('[type="submit"]');
+    const endpoint = form.action;
+    const body = {
+        name: data.name,
+        email: data.email,
+        phone: data.phone,
+        message: data.message,
+        language: getLanguage()
+    };
+
+    submitBtn.disabled = true;
+    form.classList.add('loading');
+    announce('');
+
+    try {
+        if (!navigator.onLine) {
+            await queueMessage(endpoint, body);
+            return;
+        }
+
+        await sendMessage(endpoint, body);
+        announce(t('contact.status.sent'), 'success');
+        resetForm();
+    } catch (err) {
+        // No answer at all: the connection dropped on the way, keep it for later.
+        // A server error is shown instead, the visitor is still here to retry.
+        if (err instanceof TypeError) {
+            await queueMessage(endpoint, body);
+        } else {
+            console.error('Contact message failed:', err);
+            announce(t('contact.status.error'), 'error');
+        }
+    } finally {
+        if (form) {
+            submitBtn.disabled = false;
+            form.classList.remove('loading');
+        }
+    }
+}
+
+/**
+ * POST a message
+ * @param {string} url - Endpoint
+ * @param {Object} body - Message data
+ * @returns {Promise<Object>} Server response
+ */
+async function sendMessage(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return response.json().catch(() => ({}));
+}
+
+/**
+ * Check if a failed send may work later
+ * fetch rejects with a TypeError when there is no network; 5xx are server hiccups.
+ * @param {Error} err - Send error
+ * @returns {boolean} True for network and server errors
+ */
+function isRetryable(err) {
+    return err instanceof TypeError || err.status >= 500;
+}
+
+/**
+ * Keep a message in the outbox and plan the retry
+ * @param {string} url - Endpoint
+ * @param {Object} body - Message data
+ */
+async function queueMessage(url, body) {
+    try {
+        await addToOutbox(url, body);
+    } catch (err) {
+        console.warn('Contact outbox not available:', err);
+        announce(t('contact.status.offline'), 'error');
+        return;
+    }
+
+    announce(t('contact.status.queued'), 'pending');
+    resetForm();
+    scheduleRetry(RETRY_BASE_DELAY);
+}
+
+/**
+ * Send the queued messages that are due
+ * One flush at a time, or the same message goes out twice: asked for during
+ * a flush, it runs again once that is over.
+ * @param {Object} options - {force}: also the ones still waiting for their retry
+ * @returns {Promise<void>}
+ */
+function flushOutbox({ force = false } = {}) {
+    if (flushing) {
+        flushAgain = { force: force || Boolean(flushAgain && flushAgain.force) };
+        return flushing;
+    }
+
+    flushing = sendQueued(force).finally(() => {
+        const options = flushAgain;
+
+        flushing = null;
+        flushAgain = null;
+
+        if (options) {
+            flushOutbox(options);
+        }
+    });
+
+    return flushing;
+}
+
+/**
+ * Send the queued messages (see flushOutbox)
+ * @param {boolean} force - Also the ones still waiting for their retry
+ */
+async function sendQueued(force) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+
+    if (!form) return;
+
+    let entries;
+
+    try {
+        entries = await getOutbox(form.action);
+    } catch (err) {
+        // No IndexedDB: nothing can have been queued
+        return;
+    }
+
+    let nextAttempt = Infinity;
+
+    for (const entry of entries) {
+        // Destroyed meanwhile: the next start picks up from here
+        if (!form) return;
+
+        if (!force && entry.nextAttempt > Date.now()) {
+            nextAttempt = Math.min(nextAttempt, entry.nextAttempt);
+            continue;
+        }
+
+        // Sent or dropped since the list was read
+        const stored = await getOutboxEntry(entry.id).catch(() => null);
+        if (!stored) continue;
+
+        try {
+            await sendMessage(entry.url, entry.body);
+            await removeFromOutbox(entry.id);
+            announce(t('contact.status.queuedSent'), 'success');
+        } catch (err) {
+            entry.attempts += 1;
+
+            if (isRetryable(err) && entry.attempts < MAX_ATTEMPTS) {
+                entry.nextAttempt = Date.now() + getRetryDelay(entry.attempts);
+                nextAttempt = Math.min(nextAttempt, entry.nextAttempt);
+                await updateOutboxEntry(entry).catch(() => {});
+            } else {
+                // Rejected by the server, or it kept failing: it will not go through
+                console.warn('Queued contact message dropped:', err);
+                await removeFromOutbox(entry.id).catch(() => {});
+                announce(t('contact.status.queuedFailed'), 'error');
+            }
+        }
+    }
+
+    if (nextAttempt !== Infinity) {
+        scheduleRetry(nextAttempt - Date.now());
+    }
+}
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(attempts) {
+    return Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+}
+
+/**
+ * Plan the next flush of the outbox
+ * @param {number} delay - Delay in ms
+ */
+function scheduleRetry(delay) {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(() => flushOutbox(), Math.max(delay, 0));
+}
+
+/**
+ * Announce the outcome in the live region
+ * @param {string} message - Message text (empty to clear)
+ * @param {string} state - 'success', 'error' or 'pending'
+ */
+function announce(message, state = null) {
+    const status = form && form.querySelector('.contact__status');
+    if (!status) return;
+
+    status.textContent = message;
+    status.classList.remove('contact__status--success', 'contact__status--error', 'contact__status--pending');
+
+    if (state) {
+        status.classList.add(`contact__status--${state}`);
+    }
+}
+
+/**
+ * Empty the form after a message was sent or queued
+ */
+function resetForm() {
+    form.reset();
+    Object.keys(getFormData()).forEach(clearFieldError);
+    renderedAt = Date.now();
+    updateCounter();
+}
\ No newline at end of file
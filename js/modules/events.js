@@ -0,0 +1,458 @@
+/**
+ * EVENTS MODULE - A i' centrale
+ * Upcoming events with recurrences, per-event .ics and a combined calendar feed
+ */
+
+import { formatDate, formatTime, getDefaultLocale } from '../utils/helpers.js';
+import { buildCalendar, createIcsUrl, formatIcsDate } from '../utils/ics.js';
+import { t, localize, onLanguageChange } from './i18n.js';
+import { getZonedParts, zonedTimeToDate, addDays, getDayKey, dateKeyToDate } from './opening-hours.js';
+
+const EVENTS_URL = 'data/events.json';
+const DEFAULT_TIME_ZONE = 'Europe/Rome';
+const LOOKAHEAD_DAYS = 90;
+const MINUTES_PER_DAY = 1440;
+const LOCATION = "A i' centrale, Terranuova Bracciolini (AR)";
+const FEED_FILENAME = 'aicentrale-eventi.ics';
+
+// Day keys indexed like Date.getDay() (0 = Sunday), with their iCalendar codes
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const ICS_DAYS = { sun: 'SU', mon: 'MO', tue: 'TU', wed: 'WE', thu: 'TH', fri: 'FR', sat: 'SA' };
+
+let eventsData = null;
+let listElement = null;
+let icsUrls = [];
+let refreshTimer = null;
+
+/**
+ * Initialize events
+ * @param {Object} context - Kernel context ({signal})
+ */
+export function initEvents({ signal } = {}) {
+    console.log('🎶 Events module initialized');
+
+    listElement = document.querySelector('.events__list');
+
+    if (!listElement) {
+        return;
+    }
+
+    loadEvents()
+        .then(data => {
+            eventsData = data;
+
+            // Destroyed while loading: don't start the refresh timer again
+            if (!signal?.aborted) render();
+        })
+        .catch(err => {
+            console.warn('Events not available:', err);
+            showEmpty();
+        });
+
+    onLanguageChange(() => {
+        if (eventsData) render();
+    }, { signal });
+
+    // Drop events that ended while the tab was in the background
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden && eventsData) {
+            render();
+        }
+    }, { signal });
+}
+
+/**
+ * Stop the refresh timer and release the calendar links
+ */
+export function destroyEvents() {
+    clearTimeout(refreshTimer);
+
+    icsUrls.forEach(url => URL.revokeObjectURL(url));
+    icsUrls = [];
+}
+
+/**
+ * Load the events list
+ * @returns {Promise<Object>} Events data with timeZone, categories and events
+ */
+export async function loadEvents() {
+    const response = await fetch(EVENTS_URL);
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Parse 'HH:MM' into minutes after midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes
+ */
+function parseTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Get start and end of an event in minutes after midnight
+ * An end before the start means the event goes on after midnight.
+ * @param {Object} event - Event data
+ * @returns {{start: number, end: number}} Minutes (end can be greater than 1440)
+ */
+function getTimes(event) {
+    const start = parseTime(event.start);
+    let end = event.end ? parseTime(event.end) : start + 120;
+
+    if (end <= start) {
+        end += MINUTES_PER_DAY;
+    }
+
+    return { start, end };
+}
+
+/**
+ * Count days between two date keys
+ * @param {string} from - Date key
+ * @param {string} to - Date key
+ * @returns {number} Days (negative if 'to' comes first)
+ */
+function daysBetween(from, to) {
+    const toUtc = (dateKey) => {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    };
+
+    return Math.round((toUtc(to) - toUtc(from)) / 86400000);
+}
+
+/**
+ * Check if an event takes place on a given day
+ * Supports daily, weekly (on some weekdays) and monthly repeats
+ * (same day of the month, or the nth weekday with repeat.week, -1 for the last).
+ * @param {Object} event - Event data
+ * @param {string} dateKey - Date key
+ * @returns {boolean} True if there is an occurrence starting that day
+ */
+export function occursOn(event, dateKey) {
+    const repeat = event.repeat;
+
+    if (!repeat) {
+        return dateKey === event.date;
+    }
+
+    if (dateKey < event.date) return false;
+    if (repeat.until && dateKey > repeat.until) return false;
+    if ((repeat.except || []).includes(dateKey)) return false;
+
+    const interval = repeat.interval || 1;
+    const days = repeat.days && repeat.days.length > 0 ? repeat.days : [getDayKey(event.date)];
+
+    switch (repeat.freq) {
+        case 'daily':
+            return daysBetween(event.date, dateKey) % interval === 0;
+
+        case 'weekly': {
+            if (!days.includes(getDayKey(dateKey))) return false;
+
+            // Weeks start on Monday, like the iCalendar default (WKST=MO)
+            const weekStart = (key) => addDays(key, -((DAY_KEYS.indexOf(getDayKey(key)) + 6) % 7));
+            const weeks = daysBetween(weekStart(event.date), weekStart(dateKey)) / 7;
+
+            return weeks % interval === 0;
+        }
+
+        case 'monthly': {
+            const [startYear, startMonth, startDay] = event.date.split('-').map(Number);
+            const [year, month, day] = dateKey.split('-').map(Number);
+            const months = (year - startYear) * 12 + (month - startMonth);
+
+            if (months % interval !== 0) return false;
+
+            if (!repeat.week) {
+                return day === startDay;
+            }
+
+            if (!days.includes(getDayKey(dateKey))) return false;
+
+            if (repeat.week < 0) {
+                const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+                return day > daysInMonth + repeat.week * 7;
+            }
+
+            return Math.ceil(day / 7) === repeat.week;
+        }
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * Get the next occurrence of every event that has not ended yet
+ * @param {Object} data - Events data
+ * @param {Date} now - Current instant (default: now)
+ * @param {number} lookahead - Days to search (default: 90)
+ * @returns {Array<{event: Object, dateKey: string, start: Date, end: Date}>} Occurrences, soonest first
+ */
+export function getUpcomingEvents(data, now = new Date(), lookahead = LOOKAHEAD_DAYS) {
+    const timeZone = data.timeZone || DEFAULT_TIME_ZONE;
+    const today = getZonedParts(now, timeZone).dateKey;
+    const upcoming = [];
+
+    data.events.forEach(event => {
+        const times = getTimes(event);
+
+        // Start from yesterday: an event after midnight may still be going on
+        for (let offset = -1; offset <= lookahead; offset++) {
+            const dateKey = addDays(today, offset);
+            if (!occursOn(event, dateKey)) continue;
+
+            const end = zonedTimeToDate(dateKey, times.end, timeZone);
+            if (end <= now) continue;
+
+            upcoming.push({
+                event,
+                dateKey,
+                start: zonedTimeToDate(dateKey, times.start, timeZone),
+                end
+            });
+            break;
+        }
+    });
+
+    return upcoming.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Build the iCalendar recurrence rule of an event
+ * @param {Object} event - Event data
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} RRULE value (empty for one-off events)
+ */
+function buildRrule(event, timeZone) {
+    const repeat = event.repeat;
+    if (!repeat) return '';
+
+    const rule = [`FREQ=${repeat.freq.toUpperCase()}`];
+    // Same default as occursOn: no days means the weekday of the first date
+    const days = (repeat.days && repeat.days.length > 0 ? repeat.days : [getDayKey(event.date)])
+        .map(day => ICS_DAYS[day]);
+
+    if (repeat.interval > 1) {
+        rule.push(`INTERVAL=${repeat.interval}`);
+    }
+
+    if (repeat.freq === 'weekly') {
+        rule.push(`BYDAY=${days.join(',')}`);
+    } else if (repeat.freq === 'monthly' && repeat.week) {
+        rule.push(`BYDAY=${days.map(day => `${repeat.week}${day}`).join(',')}`);
+    }
+
+    // UNTIL is in UTC and must include the start of the last occurrence
+    if (repeat.until) {
+        rule.push(`UNTIL=${formatIcsDate(zonedTimeToDate(repeat.until, getTimes(event).start, timeZone))}`);
+    }
+
+    return rule.join(';');
+}
+
+/**
+ * Convert an event to the format of buildCalendar
+ * The series starts from its first date, so calendars get every occurrence.
+ * @param {Object} event - Event data
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} Calendar event
+ */
+function toCalendarEvent(event, timeZone) {
+    const times = getTimes(event);
+
+    return {
+        uid: `${event.id}@aicentrale.it`,
+        start: zonedTimeToDate(event.date, times.start, timeZone),
+        end: zonedTimeToDate(event.date, times.end, timeZone),
+        title: localize(event, 'title'),
+        description: localize(event, 'description'),
+        location: LOCATION,
+        url: `${window.location.origin}${window.location.pathname}#events`,
+        rrule: buildRrule(event, timeZone),
+        exdates: ((event.repeat && event.repeat.except) || []).map(dateKey => {
+            return zonedTimeToDate(dateKey, times.start, timeZone);
+        }),
+        timeZone
+    };
+}
+
+/**
+ * Describe how often an event repeats
+ * @param {Object} repeat - Repeat rule
+ * @returns {string} Localized description
+ */
+function describeRepeat(repeat) {
+    const count = repeat.interval || 1;
+
+    switch (repeat.freq) {
+        case 'daily':
+            return t('events.repeat.daily', { count });
+        case 'weekly': {
+            const locale = getDefaultLocale();
+            const weekday = new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: 'UTC' });
+
+            // 2026-01-04 is a Sunday, so DAY_KEYS index = days after it
+            const days = new Intl.ListFormat(locale, { type: 'conjunction' }).format(
+                (repeat.days || []).map(day => weekday.format(new Date(Date.UTC(2026, 0, 4 + DAY_KEYS.indexOf(day)))))
+            );
+
+            return t('events.repeat.weekly', { count, days });
+        }
+        case 'monthly':
+            return t('events.repeat.monthly', { count });
+        default:
+            return '';
+    }
+}
+
+/**
+ * Render upcoming events and the calendar links
+ */
+function render() {
+    const timeZone = eventsData.timeZone || DEFAULT_TIME_ZONE;
+    const upcoming = getUpcomingEvents(eventsData);
+    const feed = document.querySelector('.events__feed');
+
+    icsUrls.forEach(url => URL.revokeObjectURL(url));
+    icsUrls = [];
+
+    listElement.innerHTML = '';
+    upcoming.forEach(occurrence => {
+        listElement.appendChild(createEventElement(occurrence, timeZone));
+    });
+
+    if (upcoming.length === 0) {
+        showEmpty();
+    } else {
+        const empty = document.querySelector('.events__empty');
+        if (empty) empty.hidden = true;
+    }
+
+    if (feed) {
+        const calendar = buildCalendar(
+            upcoming.map(occurrence => toCalendarEvent(occurrence.event, timeZone)),
+            t('events.feedName')
+        );
+
+        feed.href = createObjectUrl(calendar);
+        feed.download = FEED_FILENAME;
+        feed.hidden = upcoming.length === 0;
+    }
+
+    scheduleRefresh(upcoming);
+}
+
+/**
+ * Show the "no events" message
+ */
+function showEmpty() {
+    const empty = document.querySelector('.events__empty');
+    const feed = document.querySelector('.events__feed');
+
+    if (empty) empty.hidden = false;
+    if (feed) feed.hidden = true;
+}
+
+/**
+ * Create an object URL for a calendar and remember it for cleanup
+ * @param {string} calendar - iCalendar text
+ * @returns {string} Object URL
+ */
+function createObjectUrl(calendar) {
+    const url = createIcsUrl(calendar);
+    icsUrls.push(url);
+    return url;
+}
+
+/**
+ * Create an event element
+ * @param {Object} occurrence - Upcoming occurrence
+ * @param {string} timeZone - IANA timezone
+ * @returns {HTMLElement} List item
+ */
+function createEventElement(occurrence, timeZone) {
+    const { event, dateKey } = occurrence;
+    const times = getTimes(event);
+    const category = (eventsData.categories || []).find(item => item.id === event.category);
+    const title = localize(event, 'title');
+    const day = dateKeyToDate(dateKey);
+
+    const element = document.createElement('li');
+    element.className = 'event';
+
+    element.innerHTML = `
+        <time class="event__date">
+            <span class="event__day"></span>
+            <span class="event__month"></span>
+        </time>
+        <div class="event__body">
+            <span class="event__category"></span>
+            <h3 class="event__title"></h3>
+            <p class="event__when"></p>
+            <p class="event__repeat"></p>
+            <p class="event__description"></p>
+            <a class="event__ics" href="#"></a>
+        </div>
+    `;
+
+    const date = element.querySelector('.event__date');
+    date.dateTime = occurrence.start.toISOString();
+    date.querySelector('.event__day').textContent = day.getDate();
+    date.querySelector('.event__month').textContent = day.toLocaleDateString(getDefaultLocale(), { month: 'short' });
+
+    element.querySelector('.event__title').textContent = title;
+    element.querySelector('.event__when').textContent = t('events.when', {
+        date: formatDate(day),
+        start: formatTime(dateKeyToDate(dateKey, times.start)),
+        end: formatTime(dateKeyToDate(dateKey, times.end))
+    });
+    element.querySelector('.event__description').textContent = localize(event, 'description') || '';
+
+    const categoryElement = element.querySelector('.event__category');
+    if (category) {
+        categoryElement.textContent = localize(category, 'label');
+        categoryElement.classList.add(`event__category--${category.id}`);
+    } else {
+        categoryElement.remove();
+    }
+
+    const repeat = element.querySelector('.event__repeat');
+    if (event.repeat) {
+        repeat.textContent = describeRepeat(event.repeat);
+    } else {
+        repeat.remove();
+    }
+
+    const ics = element.querySelector('.event__ics');
+    ics.textContent = t('events.addToCalendar');
+    ics.setAttribute('aria-label', t('events.addEventToCalendar', { title }));
+    ics.href = createObjectUrl(buildCalendar([toCalendarEvent(event, timeZone)]));
+    ics.download = `${event.id}.ics`;
+
+    return element;
+}
+
+/**
+ * Render again when the first listed event ends
+ * @param {Array<Object>} upcoming - Listed occurrences
+ */
+function scheduleRefresh(upcoming) {
+    clearTimeout(refreshTimer);
+
+    if (upcoming.length === 0) return;
+
+    const nextEnd = Math.min(...upcoming.map(occurrence => occurrence.end.getTime()));
+
+    // Long timeouts overflow, the visibility check covers the rest
+    const delay = Math.min(nextEnd - Date.now(), 86400000);
+
+    refreshTimer = setTimeout(render, Math.max(delay, 1000));
+}
\ No newline at end of file
@@ -1,66 +1,412 @@
 /**
  * GALLERY MODULE - A i' centrale
- * Handles gallery lightbox functionality
+ * Renders the gallery from its manifest and handles the lightbox
  */
 
+import { formatDate, getQueryParam, setQueryParam, removeQueryParam, copyToClipboard } from '../utils/helpers.js';
+import { t, localize, onLanguageChange } from './i18n.js';
+import { buildSrcset, createMedia, setMediaSource, preloadImage } from './images.js';
+import { openDialog, closeDialog, isTopDialog } from '../utils/dialog.js';
+import { track } from './analytics.js';
+import { store } from '../core/store.js';
+
+const MANIFEST_URL = 'data/gallery.json';
+const PAGE_SIZE = 8;
+
+// URL parameters: active filter and open photo, e.g. ?galleria=eventi&foto=serata-live
+const CATEGORY_PARAM = 'galleria';
+const PHOTO_PARAM = 'foto';
+
+// Zoom limits and gesture tuning
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 4;
+const DOUBLE_TAP_ZOOM = 2.5;
+const DOUBLE_TAP_DELAY = 300;   // ms between taps
+const PAN_FRICTION = 0.92;      // Velocity kept per frame after release
+
+// Rendered widths for srcset (first grid item spans two columns on desktop)
+const GRID_SIZES = '(min-width: 1024px) 25vw, (min-width: 640px) 50vw, 100vw';
+const LIGHTBOX_SIZES = '90vw';
+
+// Slideshow: default interval, overridable with data-slideshow-interval (ms)
+// on the gallery section or ?slideshow=<seconds> for the screen in the venue
+const SLIDESHOW_INTERVAL = 5000;
+const SLIDESHOW_PARAM = 'slideshow';
+
+let manifest = null;
+let galleryGrid = null;
+let activeCategory = null;      // null shows every category
+let visibleCount = 0;
+
+// Photos of the active filter: the lightbox only navigates these
 let currentImageIndex = 0;
 let galleryImages = [];
 let lightbox = null;
+let statusTimer = null;
+
+// Zoom state of the lightbox image (translation in px, relative to its centre)
+let zoom = { scale: 1, x: 0, y: 0 };
+let inertiaFrame = null;
+
+// Slideshow state (elapsed time of the current slide survives pauses)
+let slideshow = { playing: false, interval: SLIDESHOW_INTERVAL, elapsed: 0, lastTime: null, frame: null };
+const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
 
 /**
  * Initialize gallery
+ * @param {Object} context - Kernel context ({signal})
  */
-export function initGallery() {
+export function initGallery({ signal } = {}) {
     console.log('🖼️ Gallery module initialized');
     
-    const galleryItems = document.querySelectorAll('.gallery__item');
+    galleryGrid = document.querySelector('.gallery__grid');
     
-    if (galleryItems.length === 0) {
-        console.warn('No gallery items found');
+    if (!galleryGrid) {
+        console.warn('No gallery found');
         return;
     }
     
     // Create lightbox
-    lightbox = createLightbox();
-    
-    // Store gallery images data
-    galleryImages = Array.from(galleryItems).map((item, index) => {
-        const img = item.querySelector('img');
-        const caption = item.querySelector('.gallery__caption');
-        
-        return {
-            src: img ? img.src : '',
-            alt: img ? img.alt : '',
-            caption: caption ? caption.textContent : '',
-            index: index
-        };
-    });
+    lightbox = createLightbox(signal);
+    updateSlideshowButton();
+    
+    const section = document.querySelector('.gallery');
+    const configuredInterval = section ? parseInt(section.dataset.slideshowInterval, 10) : NaN;
+    if (configuredInterval > 0) {
+        slideshow.interval = configuredInterval;
+    }
+    
+    // Open photos (items are rendered later, so listen on the grid)
+    // Buttons inside the items (e.g. external images consent) have their own action
+    galleryGrid.addEventListener('click', (e) => {
+        const item = e.target.closest('.gallery__item');
+        if (item && !e.target.closest('button')) {
+            openLightbox(Number(item.dataset.index));
+        }
+    }, { signal });
     
-    // Add click handlers to gallery items
-    galleryItems.forEach((item, index) => {
-        item.addEventListener('click', () => {
-            openLightbox(index);
+    galleryGrid.addEventListener('keydown', (e) => {
+        const item = e.target.closest('.gallery__item');
+        if (item && !e.target.closest('button') && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            openLightbox(Number(item.dataset.index));
+        }
+    }, { signal });
+    
+    const filters = document.querySelector('.gallery__filters');
+    if (filters) {
+        filters.addEventListener('click', (e) => {
+            const chip = e.target.closest('.gallery__filter');
+            if (chip) {
+                selectCategory(chip.dataset.category || null);
+            }
+        }, { signal });
+    }
+    
+    const moreBtn = document.querySelector('.gallery__more');
+    if (moreBtn) {
+        moreBtn.addEventListener('click', loadMore, { signal });
+    }
+    
+    loadManifest()
+        .then(data => {
+            if (signal?.aborted) return;
+            
+            manifest = data;
+            readStateFromUrl();
+            buildFilters();
+            render();
+            openFromUrl();
+        })
+        .catch(err => {
+            console.warn('Gallery manifest not available:', err);
         });
+    
+    // Reduced motion: never keep images changing on their own
+    reducedMotion.addEventListener('change', (e) => {
+        if (e.matches) {
+            pauseSlideshow();
+        }
+        updateSlideshowButton();
+    }, { signal });
+    
+    // Back/Forward move between filters, opened photos and closing
+    window.addEventListener('popstate', handleHistoryChange, { signal });
+    
+    // Pause the slideshow while the tab is hidden
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            suspendSlideshow();
+        } else {
+            resumeSlideshow();
+        }
+    }, { signal });
+    
+    onLanguageChange(() => {
+        labelLightbox();
+        updateSlideshowButton();
         
-        // Add keyboard support
-        item.setAttribute('role', 'button');
-        item.setAttribute('tabindex', '0');
-        item.setAttribute('aria-label', `View image ${index + 1}`);
+        if (!manifest) return;
         
-        item.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                openLightbox(index);
-            }
-        });
+        buildFilters();
+        render();
+        
+        if (store.get('lightboxOpen')) {
+            updateLightboxImage();
+        }
+    }, { signal });
+}
+
+/**
+ * Close and remove the lightbox, stop timers and animations
+ */
+export function destroyGallery() {
+    closeLightbox(false);
+    stopInertia();
+    clearTimeout(statusTimer);
+    
+    if (lightbox) {
+        lightbox.remove();
+        lightbox = null;
+    }
+    
+    galleryGrid = null;
+}
+
+/**
+ * Load the gallery manifest
+ * @returns {Promise<Object>} Manifest with categories and photos
+ */
+export async function loadManifest() {
+    const response = await fetch(MANIFEST_URL);
+    
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    
+    return response.json();
+}
+
+/**
+ * Filter manifest photos, newest first
+ * @param {Array<Object>} photos - Manifest photos
+ * @param {string|null} category - Category id (null for all)
+ * @returns {Array<Object>} Matching photos
+ */
+export function filterPhotos(photos, category = null) {
+    return photos
+        .filter(photo => !category || photo.category === category)
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Read the active filter from the URL
+ */
+function readStateFromUrl() {
+    const category = getQueryParam(CATEGORY_PARAM);
+    activeCategory = manifest.categories.some(item => item.id === category) ? category : null;
+}
+
+/**
+ * Open the photo linked in the URL, or start the venue slideshow
+ */
+function openFromUrl() {
+    let linkedIndex = getLinkedIndex();
+    
+    // Linked photo hidden by the filter: show every category
+    if (linkedIndex === null && activeCategory && getQueryParam(PHOTO_PARAM)) {
+        activeCategory = null;
+        render();
+        linkedIndex = getLinkedIndex();
+    }
+    
+    if (linkedIndex !== null) {
+        openLightbox(linkedIndex, false);
+    }
+    
+    // Venue screen: ?slideshow or ?slideshow=8 (seconds)
+    const slideshowParam = getQueryParam(SLIDESHOW_PARAM);
+    if (slideshowParam !== null) {
+        const seconds = parseFloat(slideshowParam);
+        if (seconds > 0) {
+            slideshow.interval = seconds * 1000;
+        }
+        
+        if (!reducedMotion.matches && galleryImages.length > 0) {
+            openLightbox(linkedIndex ?? 0, false);
+            playSlideshow();
+        }
+    }
+}
+
+/**
+ * Build the category filter chips
+ */
+function buildFilters() {
+    const container = document.querySelector('.gallery__filters');
+    if (!container) return;
+    
+    const chips = [{ id: '', label: t('gallery.all') }]
+        .concat(manifest.categories.map(category => ({ id: category.id, label: localize(category, 'label') })));
+    
+    container.setAttribute('aria-label', t('gallery.filtersLabel'));
+    container.replaceChildren(...chips.map(chip => {
+        const button = document.createElement('button');
+        button.className = 'gallery__filter';
+        button.type = 'button';
+        button.dataset.category = chip.id;
+        button.setAttribute('aria-pressed', 'false');
+        button.textContent = chip.label;
+        return button;
+    }));
+}
+
+/**
+ * Select a category and store it in the URL
+ * @param {string|null} category - Category id (null for all)
+ */
+function selectCategory(category) {
+    if (category === activeCategory) return;
+    
+    activeCategory = category;
+    visibleCount = 0;
+    
+    if (category) {
+        setQueryParam(CATEGORY_PARAM, category);
+    } else {
+        removeQueryParam(CATEGORY_PARAM);
+    }
+    
+    render();
+}
+
+/**
+ * Render filters and the first pages of the active category
+ */
+function render() {
+    document.querySelectorAll('.gallery__filter').forEach(chip => {
+        const isActive = (chip.dataset.category || null) === activeCategory;
+        chip.classList.toggle('gallery__filter--active', isActive);
+        chip.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+    
+    galleryImages = filterPhotos(manifest.photos, activeCategory).map(toImage);
+    visibleCount = Math.min(Math.max(visibleCount, getPageSize()), galleryImages.length);
+    
+    galleryGrid.innerHTML = '';
+    galleryImages.slice(0, visibleCount).forEach(image => {
+        galleryGrid.appendChild(createItemElement(image));
+    });
+    
+    updateMoreButton();
+}
+
+/**
+ * Show the next page of photos
+ */
+function loadMore() {
+    const start = visibleCount;
+    visibleCount = Math.min(visibleCount + getPageSize(), galleryImages.length);
+    
+    galleryImages.slice(start, visibleCount).forEach(image => {
+        galleryGrid.appendChild(createItemElement(image));
     });
+    
+    updateMoreButton();
+    
+    // Keep keyboard users where the new photos start
+    const firstNew = galleryGrid.children[start];
+    if (firstNew) {
+        firstNew.focus();
+    }
 }
 
+/**
+ * Hide the "load more" button once everything is shown
+ */
+function updateMoreButton() {
+    const moreBtn = document.querySelector('.gallery__more');
+    if (moreBtn) {
+        moreBtn.hidden = visibleCount >= galleryImages.length;
+    }
+}
+
+/**
+ * Get the number of photos per page
+ * @returns {number} Page size
+ */
+function getPageSize() {
+    return manifest.pageSize > 0 ? manifest.pageSize : PAGE_SIZE;
+}
+
+/**
+ * Convert a manifest photo into lightbox image data
+ * @param {Object} photo - Manifest photo
+ * @param {number} index - Position in the filtered set
+ * @returns {Object} Image data
+ */
+function toImage(photo, index) {
+    const variants = (photo.variants || []).slice().sort((a, b) => a.width - b.width);
+    const largest = variants[variants.length - 1];
+    
+    return {
+        id: photo.id,
+        src: largest ? largest.src : photo.src,
+        srcset: buildSrcset(variants),
+        // Tiny preview for the blur-up, else the smallest variant
+        placeholder: photo.placeholder || (variants.length > 1 ? variants[0].src : ''),
+        alt: localize(photo, 'alt'),
+        caption: localize(photo, 'caption'),
+        category: photo.category,
+        date: photo.date,
+        index: index
+    };
+}
+
+/**
+ * Create a gallery item element
+ * @param {Object} image - Image data
+ * @returns {HTMLElement} Gallery item
+ */
+function createItemElement(image) {
+    const item = document.createElement('div');
+    item.className = 'gallery__item';
+    item.dataset.animate = 'scale-in';
+    item.dataset.index = image.index;
+    item.setAttribute('role', 'button');
+    item.setAttribute('tabindex', '0');
+    item.setAttribute('aria-label', t('gallery.viewImage', { index: image.index + 1 }));
+    
+    item.appendChild(createMedia({
+        src: image.src,
+        srcset: image.srcset,
+        sizes: GRID_SIZES,
+        alt: image.alt,
+        placeholder: image.placeholder
+    }));
+    
+    item.insertAdjacentHTML('beforeend', `
+        <div class="gallery__overlay">
+            <span class="gallery__caption"></span>
+            <time class="gallery__date"></time>
+        </div>
+    `);
+    
+    item.querySelector('.gallery__caption').textContent = image.caption;
+    
+    const date = item.querySelector('.gallery__date');
+    date.dateTime = image.date;
+    date.textContent = formatDate(new Date(`${image.date}T12:00:00`));
+    
+    return item;
+}
+
+
 /**
  * Create lightbox element
  * @returns {HTMLElement} The lightbox element
  */
-function createLightbox() {
+function createLightbox(signal) {
     let lightbox = document.querySelector('.gallery__lightbox');
     
     if (!lightbox) {
@@ -68,48 +414,145 @@ function createLightbox() {
         lightbox.className = 'gallery__lightbox';
         lightbox.setAttribute('role', 'dialog');
         lightbox.setAttribute('aria-modal', 'true');
-        lightbox.setAttribute('aria-label', 'Image lightbox');
         
         lightbox.innerHTML = `
-            <button class="gallery__lightbox-close" aria-label="Close lightbox">×</button>
-            <button class="gallery__lightbox-prev" aria-label="Previous image">‹</button>
-            <button class="gallery__lightbox-next" aria-label="Next image">›</button>
+            <button class="gallery__lightbox-close">×</button>
+            <button class="gallery__lightbox-share">
+                <svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+                    <circle cx="18" cy="5" r="3"/>
+                    <circle cx="6" cy="12" r="3"/>
+                    <circle cx="18" cy="19" r="3"/>
+                    <line x1="8.6" y1="13.5" x2="15.4" y2="17.5"/>
+                    <line x1="15.4" y1="6.5" x2="8.6" y2="10.5"/>
+                </svg>
+            </button>
+            <button class="gallery__lightbox-play" aria-pressed="false">
+                <span class="gallery__lightbox-play-icon" aria-hidden="true"></span>
+            </button>
+            <button class="gallery__lightbox-prev">‹</button>
+            <button class="gallery__lightbox-next">›</button>
+            <div class="gallery__lightbox-progress" aria-hidden="true">
+                <span class="gallery__lightbox-progress-bar"></span>
+            </div>
             <div class="gallery__lightbox-content">
-                <img class="gallery__lightbox-image" src="" alt="">
+                <div class="media gallery__lightbox-media">
+                    <img class="media__placeholder" alt="" aria-hidden="true">
+                    <img class="media__image gallery__lightbox-image" alt="">
+                    <span class="media__spinner" aria-hidden="true"></span>
+                    <span class="media__error"></span>
+                </div>
                 <p class="gallery__lightbox-caption"></p>
             </div>
+            <p class="gallery__lightbox-status" role="status" aria-live="polite"></p>
         `;
         
         document.body.appendChild(lightbox);
+        labelLightbox(lightbox);
         
         // Add event listeners
         const closeBtn = lightbox.querySelector('.gallery__lightbox-close');
+        const shareBtn = lightbox.querySelector('.gallery__lightbox-share');
+        const playBtn = lightbox.querySelector('.gallery__lightbox-play');
         const prevBtn = lightbox.querySelector('.gallery__lightbox-prev');
         const nextBtn = lightbox.querySelector('.gallery__lightbox-next');
         
-        closeBtn.addEventListener('click', closeLightbox);
-        prevBtn.addEventListener('click', showPrevImage);
-        nextBtn.addEventListener('click', showNextImage);
+        closeBtn.addEventListener('click', () => closeLightbox());
+        shareBtn.addEventListener('click', shareImage);
+        playBtn.addEventListener('click', toggleSlideshow);
+        prevBtn.addEventListener('click', () => {
+            pauseSlideshow();
+            showPrevImage();
+        });
+        nextBtn.addEventListener('click', () => {
+            pauseSlideshow();
+            showNextImage();
+        });
         
-        // Close on overlay click
+        // Close on overlay click (not while panning a zoomed image)
         lightbox.addEventListener('click', (e) => {
-            if (e.target === lightbox) {
+            if (e.target === lightbox && !isZoomed()) {
                 closeLightbox();
             }
         });
         
         // Keyboard navigation
-        document.addEventListener('keydown', handleLightboxKeyboard);
+        document.addEventListener('keydown', handleLightboxKeyboard, { signal });
+        
+        initSwipeSupport(lightbox, signal);
+        initZoomSupport(lightbox, signal);
     }
     
     return lightbox;
 }
 
+/**
+ * Set the translated labels of the lightbox and its buttons
+ * @param {HTMLElement} element - Lightbox element (default: current lightbox)
+ */
+function labelLightbox(element = lightbox) {
+    if (!element) return;
+    
+    element.setAttribute('aria-label', t('gallery.lightbox'));
+    element.querySelector('.gallery__lightbox-close').setAttribute('aria-label', t('gallery.close'));
+    element.querySelector('.gallery__lightbox-share').setAttribute('aria-label', t('gallery.share'));
+    element.querySelector('.gallery__lightbox-prev').setAttribute('aria-label', t('gallery.prev'));
+    element.querySelector('.gallery__lightbox-next').setAttribute('aria-label', t('gallery.next'));
+}
+
+/**
+ * Get the index of the photo linked in the URL
+ * @returns {number|null} Image index or null if missing/filtered out
+ */
+function getLinkedIndex() {
+    const id = getQueryParam(PHOTO_PARAM);
+    const index = galleryImages.findIndex(image => image.id === id);
+    return index === -1 ? null : index;
+}
+
+/**
+ * Store the current photo in the URL (one history entry per photo)
+ * @param {boolean} replace - Update the current entry instead (default: false)
+ */
+function syncUrl(replace = false) {
+    const value = galleryImages[currentImageIndex].id;
+    
+    if (getQueryParam(PHOTO_PARAM) !== value) {
+        setQueryParam(PHOTO_PARAM, value, replace);
+    }
+}
+
+/**
+ * Sync filter and lightbox with the URL after Back/Forward
+ */
+function handleHistoryChange() {
+    if (!manifest) return;
+    
+    const previousCategory = activeCategory;
+    readStateFromUrl();
+    
+    if (activeCategory !== previousCategory) {
+        visibleCount = 0;
+        render();
+    }
+    
+    const index = getLinkedIndex();
+    
+    if (index === null) {
+        closeLightbox(false);
+    } else if (store.get('lightboxOpen')) {
+        currentImageIndex = index;
+        updateLightboxImage();
+    } else {
+        openLightbox(index, false);
+    }
+}
+
 /**
  * Open lightbox with specific image
  * @param {number} index - Index of image to display
+ * @param {boolean} updateUrl - Add a history entry for the photo (default: true)
  */
-function openLightbox(index) {
+function openLightbox(index, updateUrl = true) {
     if (!lightbox || !galleryImages[index]) return;
     
     currentImageIndex = index;
@@ -117,45 +560,236 @@ function openLightbox(index) {
     // Update lightbox content
     updateLightboxImage();
     
-    // Show lightbox
+    if (updateUrl) {
+        syncUrl();
+    }
+    
+    // Already open (a shared photo that also starts the slideshow): only the photo changes
+    if (store.get('lightboxOpen')) return;
+    
+    // Show lightbox (focus goes to the close button, back to the photo on close)
     lightbox.classList.add('gallery__lightbox--active');
-    document.body.classList.add('no-scroll');
+    store.set('lightboxOpen', true);
+    openDialog(lightbox, {
+        initialFocus: lightbox.querySelector('.gallery__lightbox-close'),
+        onDismiss: () => closeLightbox()
+    });
     
-    // Focus close button for accessibility
-    const closeBtn = lightbox.querySelector('.gallery__lightbox-close');
-    if (closeBtn) {
-        setTimeout(() => closeBtn.focus(), 100);
-    }
+    // updateUrl is false for shared links, history navigation and the venue slideshow
+    track('gallery_open', {
+        photo: galleryImages[index].id,
+        category: galleryImages[index].category,
+        source: updateUrl ? 'grid' : 'link'
+    });
     
     console.log(`Lightbox opened - Image ${index + 1}/${galleryImages.length}`);
 }
 
 /**
  * Close lightbox
+ * @param {boolean} updateUrl - Remove the photo from the URL (default: true)
  */
-function closeLightbox() {
-    if (!lightbox) return;
+function closeLightbox(updateUrl = true) {
+    if (!lightbox || !store.get('lightboxOpen')) return;
     
     lightbox.classList.remove('gallery__lightbox--active');
-    document.body.classList.remove('no-scroll');
+    store.set('lightboxOpen', false);
+    closeDialog(lightbox);
+    pauseSlideshow();
+    resetZoom();
+    
+    if (updateUrl && getQueryParam(PHOTO_PARAM) !== null) {
+        removeQueryParam(PHOTO_PARAM);
+    }
     
     console.log('Lightbox closed');
 }
 
 /**
  * Show previous image
+ * @param {boolean} updateUrl - Add a history entry for the photo (default: true)
  */
-function showPrevImage() {
+function showPrevImage(updateUrl = true) {
     currentImageIndex = (currentImageIndex - 1 + galleryImages.length) % galleryImages.length;
     updateLightboxImage();
+    
+    // Slideshow steps pass updateUrl = false: only the visitor's moves are counted
+    if (updateUrl) {
+        syncUrl();
+        track('gallery_navigate', { direction: 'prev', photo: galleryImages[currentImageIndex].id });
+    }
 }
 
 /**
  * Show next image
+ * @param {boolean} updateUrl - Add a history entry for the photo (default: true)
  */
-function showNextImage() {
+function showNextImage(updateUrl = true) {
     currentImageIndex = (currentImageIndex + 1) % galleryImages.length;
     updateLightboxImage();
+    
+    // Slideshow steps pass updateUrl = false: only the visitor's moves are counted
+    if (updateUrl) {
+        syncUrl();
+        track('gallery_navigate', { direction: 'next', photo: galleryImages[currentImageIndex].id });
+    }
+}
+
+/**
+ * Start the slideshow from the current image
+ */
+function playSlideshow() {
+    // Reduced motion: photos only change on request (the button is disabled)
+    if (!lightbox || reducedMotion.matches) return;
+    
+    slideshow.playing = true;
+    slideshow.elapsed = 0;
+    updateSlideshowButton();
+    resumeSlideshow();
+}
+
+/**
+ * Stop the slideshow (user interaction, close, reduced motion)
+ */
+function pauseSlideshow() {
+    if (!slideshow.playing) return;
+    
+    slideshow.playing = false;
+    suspendSlideshow();
+    updateSlideshowButton();
+}
+
+/**
+ * Toggle the slideshow
+ */
+function toggleSlideshow() {
+    if (slideshow.playing) {
+        pauseSlideshow();
+    } else {
+        playSlideshow();
+    }
+}
+
+/**
+ * Halt the slideshow timer without leaving slideshow mode (e.g. hidden tab)
+ */
+function suspendSlideshow() {
+    if (slideshow.frame) {
+        cancelAnimationFrame(slideshow.frame);
+        slideshow.frame = null;
+    }
+    
+    slideshow.lastTime = null;
+}
+
+/**
+ * Restart the slideshow timer where it was suspended
+ */
+function resumeSlideshow() {
+    if (!slideshow.playing || slideshow.frame || document.hidden) return;
+    if (!lightbox || !store.get('lightboxOpen')) return;
+    
+    slideshow.frame = requestAnimationFrame(tickSlideshow);
+}
+
+/**
+ * Advance the slideshow progress, moving on when the interval is over
+ * @param {number} now - Frame timestamp
+ */
+function tickSlideshow(now) {
+    if (slideshow.lastTime !== null) {
+        slideshow.elapsed += now - slideshow.lastTime;
+    }
+    slideshow.lastTime = now;
+    
+    if (slideshow.elapsed >= slideshow.interval) {
+        slideshow.elapsed = 0;
+        
+        // Automatic steps don't add history entries, but the URL still
+        // names the photo on screen for sharing and reloads
+        showNextImage(false);
+        syncUrl(true);
+    }
+    
+    updateSlideshowProgress();
+    slideshow.frame = requestAnimationFrame(tickSlideshow);
+}
+
+/**
+ * Render the progress of the current slide
+ */
+function updateSlideshowProgress() {
+    const bar = lightbox.querySelector('.gallery__lightbox-progress-bar');
+    if (!bar) return;
+    
+    bar.style.transform = `scaleX(${Math.min(slideshow.elapsed / slideshow.interval, 1)})`;
+}
+
+/**
+ * Update play/pause button and slideshow classes
+ */
+function updateSlideshowButton() {
+    if (!lightbox) return;
+    
+    const playBtn = lightbox.querySelector('.gallery__lightbox-play');
+    
+    playBtn.disabled = reducedMotion.matches;
+    playBtn.setAttribute('aria-pressed', slideshow.playing ? 'true' : 'false');
+    playBtn.setAttribute('aria-label', t(slideshow.playing ? 'gallery.pause' : 'gallery.play'));
+    lightbox.classList.toggle('gallery__lightbox--playing', slideshow.playing);
+    
+    if (!slideshow.playing) {
+        slideshow.elapsed = 0;
+        updateSlideshowProgress();
+    }
+}
+
+/**
+ * Share the link of the current photo
+ * Web Share API where available, clipboard otherwise
+ */
+async function shareImage() {
+    const currentImage = galleryImages[currentImageIndex];
+    if (!currentImage) return;
+    
+    const url = new URL(window.location);
+    url.searchParams.set(PHOTO_PARAM, currentImage.id);
+    
+    if (navigator.share) {
+        try {
+            await navigator.share({
+                title: document.title,
+                text: currentImage.caption,
+                url: url.href
+            });
+        } catch (err) {
+            // AbortError: the user closed the share sheet
+            if (err.name !== 'AbortError') {
+                console.warn('Share failed:', err);
+            }
+        }
+        return;
+    }
+    
+    const copied = await copyToClipboard(url.href);
+    showStatus(t(copied ? 'gallery.linkCopied' : 'gallery.copyFailed'));
+}
+
+/**
+ * Briefly show a status message in the lightbox
+ * @param {string} message - Message text
+ */
+function showStatus(message) {
+    const status = lightbox.querySelector('.gallery__lightbox-status');
+    if (!status) return;
+    
+    status.textContent = message;
+    status.classList.add('gallery__lightbox-status--visible');
+    
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => {
+        status.classList.remove('gallery__lightbox-status--visible');
+    }, 2500);
 }
 
 /**
@@ -165,26 +799,28 @@ function updateLightboxImage() {
     if (!lightbox) return;
     
     const currentImage = galleryImages[currentImageIndex];
-    const img = lightbox.querySelector('.gallery__lightbox-image');
+    const media = lightbox.querySelector('.gallery__lightbox-media');
     const caption = lightbox.querySelector('.gallery__lightbox-caption');
     
-    if (img && currentImage) {
-        // Add loading state
-        img.style.opacity = '0';
-        
-        // Update image
-        img.src = currentImage.src;
-        img.alt = currentImage.alt;
+    // Every image starts unzoomed
+    resetZoom();
+    
+    if (media && currentImage) {
+        // Blurred preview until the full image crossfades in
+        setMediaSource(media, {
+            src: currentImage.src,
+            srcset: currentImage.srcset,
+            sizes: LIGHTBOX_SIZES,
+            alt: currentImage.alt,
+            placeholder: currentImage.placeholder
+        });
         
         // Update caption
         if (caption) {
             caption.textContent = currentImage.caption;
         }
         
-        // Show image when loaded
-        img.onload = () => {
-            img.style.opacity = '1';
-        };
+        preloadAdjacentImages();
     }
     
     // Update prev/next button states
@@ -217,73 +853,355 @@ function updateNavigationButtons() {
  * @param {KeyboardEvent} e - Keyboard event
  */
 function handleLightboxKeyboard(e) {
-    if (!lightbox || !lightbox.classList.contains('gallery__lightbox--active')) {
+    // Escape and Tab are handled by the dialog manager
+    if (!lightbox || !isTopDialog(lightbox)) {
         return;
     }
     
     switch(e.key) {
-        case 'Escape':
-            closeLightbox();
-            break;
         case 'ArrowLeft':
+            pauseSlideshow();
             showPrevImage();
             break;
         case 'ArrowRight':
+            pauseSlideshow();
             showNextImage();
             break;
+        case ' ':
+            // On a focused control Space keeps its native action (Close, Share...)
+            if (!e.target.closest('button, a, input')) {
+                e.preventDefault();
+                toggleSlideshow();
+            }
+            break;
     }
 }
 
 /**
  * Add swipe support for touch devices
+ * @param {HTMLElement} lightbox - Lightbox element
+ * @param {AbortSignal} signal - Removes the listeners on teardown
  */
-function initSwipeSupport() {
-    if (!lightbox) return;
-    
+function initSwipeSupport(lightbox, signal) {
     let touchStartX = 0;
     let touchEndX = 0;
+    let isMultiTouch = false;
     
     lightbox.addEventListener('touchstart', (e) => {
+        if (e.touches.length > 1) {
+            isMultiTouch = true;
+            return;
+        }
+        
         touchStartX = e.changedTouches[0].screenX;
-    });
+    }, { signal });
     
     lightbox.addEventListener('touchend', (e) => {
         touchEndX = e.changedTouches[0].screenX;
-        handleSwipe();
-    });
+        
+        // Pinch gestures and zoomed images pan instead of navigating
+        if (!isMultiTouch && !isZoomed()) {
+            handleSwipe();
+        }
+        
+        if (e.touches.length === 0) {
+            isMultiTouch = false;
+        }
+    }, { signal });
     
     function handleSwipe() {
         const swipeThreshold = 50;
         
         if (touchEndX < touchStartX - swipeThreshold) {
             // Swipe left - next image
+            pauseSlideshow();
             showNextImage();
         }
         
         if (touchEndX > touchStartX + swipeThreshold) {
             // Swipe right - previous image
+            pauseSlideshow();
             showPrevImage();
         }
     }
 }
 
-// Initialize swipe support after lightbox is created
-setTimeout(() => {
-    if (lightbox) {
-        initSwipeSupport();
+/**
+ * Add zoom and pan support
+ * Pinch and double-tap on touch, wheel and double-click on desktop
+ * @param {HTMLElement} lightbox - Lightbox element
+ * @param {AbortSignal} signal - Removes the listeners on teardown
+ */
+function initZoomSupport(lightbox, signal) {
+    const img = lightbox.querySelector('.gallery__lightbox-image');
+    const pointers = new Map();
+    let pinchStart = null;
+    let lastTap = { time: 0, x: 0, y: 0 };
+    let velocity = { x: 0, y: 0 };
+    let lastMove = 0;
+    let lastPointerType = 'mouse';
+    
+    img.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        img.setPointerCapture(e.pointerId);
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        lastPointerType = e.pointerType;
+        
+        pauseSlideshow();
+        stopInertia();
+        velocity = { x: 0, y: 0 };
+        lastMove = performance.now();
+        img.classList.add('gallery__lightbox-image--dragging');
+        
+        if (pointers.size === 2) {
+            const [a, b] = Array.from(pointers.values());
+            pinchStart = {
+                distance: Math.hypot(b.x - a.x, b.y - a.y),
+                scale: zoom.scale
+            };
+        }
+    }, { signal });
+    
+    img.addEventListener('pointermove', (e) => {
+        const previous = pointers.get(e.pointerId);
+        if (!previous) return;
+        
+        const current = { x: e.clientX, y: e.clientY };
+        pointers.set(e.pointerId, current);
+        
+        if (pointers.size === 2 && pinchStart) {
+            // Pinch: scale around the midpoint of the two fingers
+            const [a, b] = Array.from(pointers.values());
+            const distance = Math.hypot(b.x - a.x, b.y - a.y);
+            
+            velocity = { x: 0, y: 0 };
+            
+            zoomTo(pinchStart.scale * (distance / pinchStart.distance), (a.x + b.x) / 2, (a.y + b.y) / 2);
+            return;
+        }
+        
+        if (pointers.size === 1 && isZoomed()) {
+            const now = performance.now();
+            const dx = current.x - previous.x;
+            const dy = current.y - previous.y;
+            const elapsed = Math.max(now - lastMove, 1);
+            
+            // Velocity in px per frame (16ms) for the inertia
+            velocity = { x: (dx / elapsed) * 16, y: (dy / elapsed) * 16 };
+            lastMove = now;
+            
+            panBy(dx, dy);
+        }
+    }, { signal });
+    
+    const endPointer = (e) => {
+        if (!pointers.has(e.pointerId)) return;
+        
+        pointers.delete(e.pointerId);
+        
+        if (pointers.size < 2) {
+            pinchStart = null;
+        }
+        
+        if (pointers.size > 0) return;
+        
+        img.classList.remove('gallery__lightbox-image--dragging');
+        
+        if (e.type === 'pointerup' && e.pointerType === 'touch') {
+            handleTap(e);
+        }
+        
+        // Keep gliding only if the finger was still moving on release
+        if (isZoomed() && performance.now() - lastMove < 100) {
+            startInertia(velocity);
+        }
+    };
+    
+    img.addEventListener('pointerup', endPointer, { signal });
+    img.addEventListener('pointercancel', endPointer, { signal });
+    
+    /**
+     * Double-tap toggles zoom on touch
+     * @param {PointerEvent} e - Pointer event of the tap
+     */
+    function handleTap(e) {
+        const now = performance.now();
+        const isDoubleTap = now - lastTap.time < DOUBLE_TAP_DELAY &&
+            Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < 30;
+        
+        if (isDoubleTap) {
+            toggleZoom(e.clientX, e.clientY);
+            lastTap = { time: 0, x: 0, y: 0 };
+        } else {
+            lastTap = { time: now, x: e.clientX, y: e.clientY };
+        }
     }
-}, 100);
+    
+    // Double-click toggles zoom with the mouse (touch uses handleTap)
+    img.addEventListener('dblclick', (e) => {
+        if (lastPointerType === 'touch') return;
+        toggleZoom(e.clientX, e.clientY);
+    }, { signal });
+    
+    // Wheel zooms towards the cursor
+    img.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        pauseSlideshow();
+        stopInertia();
+        zoomTo(zoom.scale * Math.exp(-e.deltaY * 0.002), e.clientX, e.clientY);
+    }, { passive: false, signal });
+    
+    // Bounds change with the viewport
+    window.addEventListener('resize', () => {
+        if (isZoomed()) {
+            panBy(0, 0);
+        }
+    }, { signal });
+}
+
+/**
+ * Check if the lightbox image is zoomed
+ * @returns {boolean} True if zoomed in
+ */
+function isZoomed() {
+    return zoom.scale > MIN_ZOOM;
+}
+
+/**
+ * Zoom in on a point, or back out if already zoomed
+ * @param {number} clientX - Point X in viewport coordinates
+ * @param {number} clientY - Point Y in viewport coordinates
+ */
+function toggleZoom(clientX, clientY) {
+    stopInertia();
+    
+    if (isZoomed()) {
+        resetZoom();
+    } else {
+        zoomTo(DOUBLE_TAP_ZOOM, clientX, clientY);
+    }
+}
+
+/**
+ * Set the zoom level keeping a point of the image under the same screen position
+ * @param {number} scale - Target scale
+ * @param {number} clientX - Focus point X in viewport coordinates
+ * @param {number} clientY - Focus point Y in viewport coordinates
+ */
+function zoomTo(scale, clientX, clientY) {
+    const img = lightbox.querySelector('.gallery__lightbox-image');
+    const nextScale = Math.min(Math.max(scale, MIN_ZOOM), MAX_ZOOM);
+    const rect = img.getBoundingClientRect();
+    
+    // Offset of the focus point from the (transformed) image centre
+    const dx = clientX - (rect.left + rect.width / 2);
+    const dy = clientY - (rect.top + rect.height / 2);
+    const ratio = nextScale / zoom.scale;
+    
+    zoom.x += dx * (1 - ratio);
+    zoom.y += dy * (1 - ratio);
+    zoom.scale = nextScale;
+    
+    applyZoom();
+}
+
+/**
+ * Move the zoomed image
+ * @param {number} dx - Horizontal offset in px
+ * @param {number} dy - Vertical offset in px
+ * @returns {boolean} False if the image hit its bounds on both axes
+ */
+function panBy(dx, dy) {
+    const previous = { x: zoom.x, y: zoom.y };
+    
+    zoom.x += dx;
+    zoom.y += dy;
+    applyZoom();
+    
+    return zoom.x !== previous.x || zoom.y !== previous.y;
+}
+
+/**
+ * Clamp the translation to the image bounds and apply the transform
+ */
+function applyZoom() {
+    const img = lightbox.querySelector('.gallery__lightbox-image');
+    
+    // The scaled image must always cover its unzoomed box
+    const maxX = (img.offsetWidth * (zoom.scale - 1)) / 2;
+    const maxY = (img.offsetHeight * (zoom.scale - 1)) / 2;
+    
+    zoom.x = Math.min(Math.max(zoom.x, -maxX), maxX);
+    zoom.y = Math.min(Math.max(zoom.y, -maxY), maxY);
+    
+    img.style.transform = isZoomed()
+        ? `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})`
+        : '';
+    
+    lightbox.classList.toggle('gallery__lightbox--zoomed', isZoomed());
+}
+
+/**
+ * Reset zoom and pan
+ */
+function resetZoom() {
+    if (!lightbox) return;
+    
+    stopInertia();
+    zoom = { scale: 1, x: 0, y: 0 };
+    applyZoom();
+}
+
+/**
+ * Keep panning after release, slowing down every frame
+ * @param {{x: number, y: number}} velocity - Release velocity in px per frame
+ */
+function startInertia(velocity) {
+    let vx = velocity.x;
+    let vy = velocity.y;
+    
+    const step = () => {
+        vx *= PAN_FRICTION;
+        vy *= PAN_FRICTION;
+        
+        if ((Math.abs(vx) < 0.1 && Math.abs(vy) < 0.1) || !panBy(vx, vy)) {
+            inertiaFrame = null;
+            return;
+        }
+        
+        inertiaFrame = requestAnimationFrame(step);
+    };
+    
+    inertiaFrame = requestAnimationFrame(step);
+}
+
+/**
+ * Stop a running inertia animation
+ */
+function stopInertia() {
+    if (inertiaFrame) {
+        cancelAnimationFrame(inertiaFrame);
+        inertiaFrame = null;
+    }
+}
 
 /**
  * Preload adjacent images for better UX
+ * Same srcset and sizes as the lightbox, so the cached candidate is the one shown
  */
 function preloadAdjacentImages() {
+    if (galleryImages.length < 2) return;
+    
     const prevIndex = (currentImageIndex - 1 + galleryImages.length) % galleryImages.length;
     const nextIndex = (currentImageIndex + 1) % galleryImages.length;
     
     [prevIndex, nextIndex].forEach(index => {
-        const img = new Image();
-        img.src = galleryImages[index].src;
+        const image = galleryImages[index];
+        
+        preloadImage({ src: image.src, srcset: image.srcset, sizes: LIGHTBOX_SIZES })
+            .catch(() => {
+                // Broken images show their error state when opened
+            });
     });
 }
 
@@ -310,5 +1228,9 @@ export {
     openLightbox,
     closeLightbox,
     showPrevImage,
-    showNextImage
+    showNextImage,
+    playSlideshow,
+    pauseSlideshow,
+    suspendSlideshow,
+    resumeSlideshow
 };
\ No newline at end of file
@@ -0,0 +1,222 @@
+/**
+ * I18N MODULE - A i' centrale
+ * Italian/English translations, language detection and switcher
+ */
+
+import { setDefaultLocale } from '../utils/helpers.js';
+import { store } from '../core/store.js';
+import it from '../i18n/it.js';
+import en from '../i18n/en.js';
+
+const STORAGE_KEY = 'aicentrale-lang';
+const DEFAULT_LANGUAGE = 'it';
+
+const LANGUAGES = {
+    it: { locale: 'it-IT', catalog: it },
+    en: { locale: 'en-GB', catalog: en }
+};
+
+/**
+ * Initialize i18n
+ * Must run before the other modules render text
+ * @param {Object} context - Kernel context ({signal})
+ */
+export function initI18n({ signal } = {}) {
+    console.log('🌍 i18n module initialized');
+
+    applyLanguage(detectLanguage());
+
+    // Language switchers (header and mobile nav)
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-lang]');
+        if (button) {
+            setLanguage(button.dataset.lang);
+        }
+    }, { signal });
+}
+
+/**
+ * Detect the preferred language
+ * Stored choice first, then the browser language
+ * @returns {string} Language code
+ */
+function detectLanguage() {
+    let stored = null;
+
+    try {
+        stored = localStorage.getItem(STORAGE_KEY);
+    } catch (err) {
+        // Storage blocked (private mode) - fall back to the browser
+    }
+
+    if (stored && LANGUAGES[stored]) {
+        return stored;
+    }
+
+    const preferred = navigator.languages || [navigator.language || DEFAULT_LANGUAGE];
+    const match = preferred
+        .map(lang => lang.toLowerCase().split('-')[0])
+        .find(lang => LANGUAGES[lang]);
+
+    // Tourists without Italian or English get the English site
+    return match || 'en';
+}
+
+/**
+ * Change the active language and persist the choice
+ * @param {string} lang - Language code ('it' or 'en')
+ */
+export function setLanguage(lang) {
+    if (!LANGUAGES[lang] || lang === getLanguage()) return;
+
+    try {
+        localStorage.setItem(STORAGE_KEY, lang);
+    } catch (err) {
+        // Choice only lasts for this page view
+    }
+
+    applyLanguage(lang);
+    console.log(`Language changed: ${lang}`);
+}
+
+/**
+ * Apply a language to the page
+ * Subscribed modules are notified through the store when it changes.
+ * @param {string} lang - Language code
+ */
+function applyLanguage(lang) {
+    document.documentElement.lang = lang;
+    setDefaultLocale(LANGUAGES[lang].locale);
+
+    // t() reads the language from the store, so set it before translating
+    store.set('language', lang);
+
+    translatePage(document);
+    updateSwitchers();
+}
+
+/**
+ * Translate a key
+ * Supports {placeholders} and plural forms (key_one / key_other) via params.count
+ * @param {string} key - Dotted key, e.g. 'hours.closesAt'
+ * @param {Object} params - Interpolation values (optional)
+ * @returns {string} Translated text (the key itself if missing)
+ */
+export function t(key, params = {}) {
+    const catalog = LANGUAGES[getLanguage()].catalog;
+    let value;
+
+    if (params.count !== undefined) {
+        const rule = new Intl.PluralRules(getLocale()).select(params.count);
+        value = lookup(catalog, `${key}_${rule}`) ?? lookup(catalog, `${key}_other`);
+    }
+
+    value = value ?? lookup(catalog, key) ?? lookup(LANGUAGES[DEFAULT_LANGUAGE].catalog, key);
+
+    if (typeof value !== 'string') {
+        console.warn(`Missing translation: ${key}`);
+        return key;
+    }
+
+    return value.replace(/\{(\w+)\}/g, (match, name) => {
+        return params[name] !== undefined ? params[name] : match;
+    });
+}
+
+/**
+ * Look up a dotted key in a catalog
+ * @param {Object} catalog - Translation catalog
+ * @param {string} key - Dotted key
+ * @returns {*} Value or undefined
+ */
+function lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (node ? node[part] : undefined), catalog);
+}
+
+/**
+ * Pick the translated field of a data entry
+ * Data files keep Italian at top level and translations under the language code:
+ * { "name": "Pranzi Veloci", "en": { "name": "Quick Lunch" } }
+ * @param {Object} entry - Data entry
+ * @param {string} field - Field name
+ * @returns {string} Localized value
+ */
+export function localize(entry, field) {
+    return entry[getLanguage()]?.[field] ?? entry[field];
+}
+
+/**
+ * Translate every element marked with data-i18n attributes
+ * data-i18n="key" sets the text, data-i18n-attr="aria-label:key;alt:key" sets attributes
+ * @param {ParentNode} root - Root to translate (default: document)
+ */
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attr, key] = pair.split(':').map(part => part.trim());
+            if (attr && key) {
+                element.setAttribute(attr, t(key));
+            }
+        });
+    });
+
+    if (root === document) {
+        translateMeta();
+    }
+}
+
+/**
+ * Translate the document title and meta description
+ * Pages other than the home (and router views) set their own keys on <html>
+ * with data-i18n-title and data-i18n-description.
+ */
+export function translateMeta() {
+    const { i18nTitle, i18nDescription } = document.documentElement.dataset;
+
+    document.title = t(i18nTitle || 'meta.title');
+
+    const description = document.querySelector('meta[name="description"]');
+    if (description) {
+        description.setAttribute('content', t(i18nDescription || 'meta.description'));
+    }
+}
+
+/**
+ * Update pressed state of the language switchers
+ */
+function updateSwitchers() {
+    document.querySelectorAll('[data-lang]').forEach(button => {
+        const isActive = button.dataset.lang === getLanguage();
+        button.classList.toggle('lang-switch__option--active', isActive);
+        button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+}
+
+/**
+ * Subscribe to language changes
+ * @param {Function} callback - Called with the new language code
+ * @param {Object} options - {signal}: unsubscribe when the signal aborts
+ */
+export function onLanguageChange(callback, options) {
+    store.subscribe('language', callback, options);
+}
+
+/**
+ * Get active language code
+ * @returns {string} Language code
+ */
+export function getLanguage() {
+    return store.get('language');
+}
+
+/**
+ * Get active locale for Intl formatting
+ * @returns {string} Locale, e.g. 'it-IT'
+ */
+export function getLocale() {
+    return LANGUAGES[getLanguage()].locale;
+}
\ No newline at end of file
@@ -0,0 +1,267 @@
+/**
+ * IMAGES MODULE - A i' centrale
+ * Responsive images with blurred placeholders, loading spinner and error state.
+ * External images wait for the 'media' consent.
+ */
+
+import { t, onLanguageChange } from './i18n.js';
+import { hasConsent, onConsentChange } from './consent.js';
+
+// Media blocks waiting for consent, with the source to load
+const blocked = new Map();
+
+/**
+ * Initialize images
+ * Wires up the .media blocks already in the markup
+ * @param {Object} context - Kernel context ({signal})
+ */
+export function initImages({ signal } = {}) {
+    console.log('🏞️ Images module initialized');
+
+    // Static blocks keep their sources in data attributes until consent is known
+    document.querySelectorAll('.media').forEach(media => {
+        const img = media.querySelector('.media__image');
+        const preview = media.querySelector('.media__placeholder');
+
+        if (img && img.dataset.src) {
+            setMediaSource(media, {
+                src: img.dataset.src,
+                srcset: img.dataset.srcset || '',
+                sizes: img.getAttribute('sizes') || '',
+                alt: img.alt,
+                placeholder: preview ? preview.dataset.src || '' : ''
+            });
+        } else {
+            watchMedia(media);
+        }
+    });
+
+    // Error and consent messages are set by script: translate the visible ones
+    onLanguageChange(() => {
+        document.querySelectorAll('.media--error .media__error').forEach(error => {
+            error.textContent = t('images.error');
+        });
+        blocked.forEach((source, media) => renderBlocked(media));
+    }, { signal });
+
+    onConsentChange(() => {
+        if (!hasConsent('media')) return;
+
+        blocked.forEach((source, media) => {
+            if (media.isConnected) {
+                setMediaSource(media, source);
+            }
+        });
+        blocked.clear();
+    }, { signal });
+}
+
+/**
+ * Check if a URL points to another site
+ * @param {string} url - Image URL
+ * @returns {boolean} True for third-party URLs
+ */
+export function isExternal(url) {
+    return Boolean(url) && new URL(url, document.baseURI).origin !== window.location.origin;
+}
+
+/**
+ * Check if an image may be loaded now
+ * @param {Object} source - src, srcset and placeholder
+ * @returns {boolean} True if allowed
+ */
+function canLoad({ src, srcset = '', placeholder = '' }) {
+    if (hasConsent('media')) return true;
+
+    const urls = [src, placeholder, ...srcset.split(',').map(item => item.trim().split(' ')[0])];
+    return !urls.some(isExternal);
+}
+
+/**
+ * Build a srcset attribute from width variants
+ * @param {Array<{src: string, width: number}>} variants - Image variants
+ * @returns {string} srcset value (empty if there is nothing to choose from)
+ */
+export function buildSrcset(variants = []) {
+    if (variants.length < 2) return '';
+
+    return variants
+        .slice()
+        .sort((a, b) => a.width - b.width)
+        .map(variant => `${variant.src} ${variant.width}w`)
+        .join(', ');
+}
+
+/**
+ * Create a media block: blurred placeholder, image, spinner and error message
+ * @param {Object} options - Image options
+ * @param {string} options.src - Fallback source
+ * @param {string} options.srcset - Responsive sources (optional)
+ * @param {string} options.sizes - Rendered sizes (optional)
+ * @param {string} options.alt - Alternative text
+ * @param {string} options.placeholder - Low-quality image URL (optional)
+ * @param {string} options.className - Extra class for the image (optional)
+ * @param {boolean} options.lazy - Lazy load (default: true)
+ * @returns {HTMLElement} Media element
+ */
+export function createMedia({ src, srcset = '', sizes = '', alt = '', placeholder = '', className = '', lazy = true }) {
+    const media = document.createElement('div');
+    media.className = 'media';
+
+    media.innerHTML = `
+        <img class="media__placeholder" alt="" aria-hidden="true">
+        <img class="media__image">
+        <span class="media__spinner" aria-hidden="true"></span>
+        <span class="media__error"></span>
+    `;
+
+    const img = media.querySelector('.media__image');
+
+    if (className) {
+        img.classList.add(className);
+    }
+
+    if (lazy) {
+        img.loading = 'lazy';
+    }
+
+    img.decoding = 'async';
+    setMediaSource(media, { src, srcset, sizes, alt, placeholder });
+
+    return media;
+}
+
+/**
+ * Point a media block to a new image and show its loading state
+ * @param {HTMLElement} media - Media element
+ * @param {Object} source - src, srcset, sizes, alt and placeholder
+ */
+export function setMediaSource(media, { src, srcset = '', sizes = '', alt = '', placeholder = '' }) {
+    const img = media.querySelector('.media__image');
+    const preview = media.querySelector('.media__placeholder');
+
+    if (!canLoad({ src, srcset, placeholder })) {
+        img.removeAttribute('src');
+        img.removeAttribute('srcset');
+        img.alt = alt;
+
+        if (preview) {
+            preview.removeAttribute('src');
+            preview.hidden = true;
+        }
+
+        blocked.set(media, { src, srcset, sizes, alt, placeholder });
+        renderBlocked(media);
+        return;
+    }
+
+    blocked.delete(media);
+    media.classList.remove('media--blocked');
+
+    if (preview) {
+        if (placeholder) {
+            preview.src = placeholder;
+        } else {
+            preview.removeAttribute('src');
+        }
+        preview.hidden = !placeholder;
+    }
+
+    // Sizes before srcset, so the browser picks the right candidate
+    if (srcset) {
+        img.sizes = sizes || '100vw';
+        img.srcset = srcset;
+    } else {
+        img.removeAttribute('sizes');
+        img.removeAttribute('srcset');
+    }
+
+    img.alt = alt;
+    img.src = src;
+
+    watchMedia(media);
+}
+
+/**
+ * Show the "external content" notice in place of a blocked image
+ * @param {HTMLElement} media - Media element
+ */
+function renderBlocked(media) {
+    let notice = media.querySelector('.media__blocked');
+
+    if (!notice) {
+        notice = document.createElement('div');
+        notice.className = 'media__blocked';
+        media.appendChild(notice);
+    }
+
+    media.classList.remove('media--loading', 'media--loaded', 'media--error');
+    media.classList.add('media--blocked');
+
+    notice.innerHTML = `
+        <p class="media__blocked-text">${t('images.blocked')}</p>
+        <button type="button" class="media__blocked-button" data-consent-accept="media">${t('images.allow')}</button>
+    `;
+}
+
+/**
+ * Track loading of a media block
+ * @param {HTMLElement} media - Media element
+ */
+export function watchMedia(media) {
+    const img = media.querySelector('.media__image');
+    if (!img) return;
+
+    media.classList.remove('media--loaded', 'media--error');
+    media.classList.add('media--loading');
+
+    img.onload = () => {
+        media.classList.remove('media--loading');
+        media.classList.add('media--loaded');
+    };
+
+    img.onerror = () => {
+        const error = media.querySelector('.media__error');
+
+        media.classList.remove('media--loading');
+        media.classList.add('media--error');
+
+        if (error) {
+            error.textContent = t('images.error');
+        }
+    };
+
+    // Cached images may be done before the handlers exist
+    if (img.complete && img.getAttribute('src')) {
+        if (img.naturalWidth > 0) {
+            img.onload();
+        } else {
+            img.onerror();
+        }
+    }
+}
+
+/**
+ * Load an image in the background (rejects without consent for external images)
+ * @param {Object} source - src, srcset and sizes
+ * @returns {Promise<HTMLImageElement>} Resolves when loaded
+ */
+export function preloadImage({ src, srcset = '', sizes = '' }) {
+    if (!canLoad({ src, srcset })) {
+        return Promise.reject(new Error('Waiting for media consent'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+
+        img.onload = () => resolve(img);
+        img.onerror = reject;
+
+        if (srcset) {
+            img.sizes = sizes || '100vw';
+            img.srcset = srcset;
+        }
+
+        img.src = src;
+    });
+}
\ No newline at end of file
@@ -0,0 +1,145 @@
+/**
+ * INSTALL MODULE - A i' centrale
+ * "Add to home screen": install prompt, iOS instructions and standalone detection
+ */
+
+import { openDialog, closeDialog } from '../utils/dialog.js';
+
+const STANDALONE_QUERY = '(display-mode: standalone)';
+
+let deferredPrompt = null;
+let iosDialog = null;
+
+/**
+ * Initialize install support
+ * @param {Object} context - Kernel context ({signal})
+ */
+export function initInstall({ signal } = {}) {
+    console.log('📲 Install module initialized');
+
+    const standaloneQuery = window.matchMedia(STANDALONE_QUERY);
+
+    updateDisplayMode();
+    standaloneQuery.addEventListener('change', updateDisplayMode, { signal });
+
+    iosDialog = document.querySelector('.install-dialog');
+
+    // Chrome, Edge, Samsung Internet: keep the prompt for our own button
+    window.addEventListener('beforeinstallprompt', (e) => {
+        e.preventDefault();
+        deferredPrompt = e;
+        updateInstallButtons();
+    }, { signal });
+
+    window.addEventListener('appinstalled', () => {
+        deferredPrompt = null;
+        updateInstallButtons();
+    }, { signal });
+
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('[data-install]')) {
+            install(e.target.closest('[data-install]'));
+        }
+    }, { signal });
+
+    if (iosDialog) {
+        iosDialog.addEventListener('click', (e) => {
+            // Close button or click on the backdrop
+            if (e.target === iosDialog || e.target.closest('.install-dialog__close')) {
+                closeIosInstructions();
+            }
+        }, { signal });
+    }
+
+    updateInstallButtons();
+}
+
+/**
+ * Check if the site runs as an installed app
+ * @returns {boolean} True in standalone display mode
+ */
+export function isStandalone() {
+    return window.matchMedia(STANDALONE_QUERY).matches || navigator.standalone === true;
+}
+
+/**
+ * Check if the device is an iPhone or iPad (no install prompt, only "Add to Home Screen")
+ * @returns {boolean} True on iOS/iPadOS
+ */
+function isIos() {
+    // iPadOS reports itself as a Mac, but Macs have no touch screen
+    return /iphone|ipad|ipod/i.test(navigator.userAgent) ||
+        (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+}
+
+/**
+ * Mark the page as standalone, so the header can adapt
+ */
+function updateDisplayMode() {
+    document.documentElement.classList.toggle('standalone', isStandalone());
+    updateInstallButtons();
+}
+
+/**
+ * Show the install buttons only when installing is possible
+ */
+function updateInstallButtons() {
+    const canInstall = !isStandalone() && (deferredPrompt !== null || (isIos() && iosDialog !== null));
+
+    document.querySelectorAll('[data-install]').forEach(button => {
+        button.hidden = !canInstall;
+    });
+}
+
+/**
+ * Install the app: native prompt where available, instructions on iOS
+ * @param {HTMLElement} trigger - Clicked button
+ */
+async function install(trigger) {
+    if (!deferredPrompt) {
+        openIosInstructions(trigger);
+        return;
+    }
+
+    const prompt = deferredPrompt;
+
+    // The event can only be used once
+    deferredPrompt = null;
+
+    try {
+        await prompt.prompt();
+
+        const { outcome } = await prompt.userChoice;
+        console.log(`Install prompt: ${outcome}`);
+    } catch (err) {
+        // Prompt already shown or the click no longer counts as a user gesture
+        console.warn('Install prompt failed:', err);
+        deferredPrompt = null;
+        trigger.hidden = true;
+    }
+
+    updateInstallButtons();
+}
+
+/**
+ * Show how to add the site to the home screen on iOS
+ * @param {HTMLElement} trigger - Element to focus on close
+ */
+function openIosInstructions(trigger) {
+    if (!iosDialog) return;
+
+    iosDialog.hidden = false;
+    openDialog(iosDialog, {
+        trigger,
+        initialFocus: iosDialog.querySelector('.install-dialog__close'),
+        onDismiss: closeIosInstructions
+    });
+}
+
+/**
+ * Hide the iOS instructions
+ */
+function closeIosInstructions() {
+    closeDialog(iosDialog);
+    iosDialog.hidden = true;
+}
\ No newline at end of file
@@ -0,0 +1,373 @@
+/**
+ * MENU MODULE - A i' centrale
+ * Renders the menu catalog with category tabs and dietary filters
+ */
+
+import { formatCurrency, getQueryParam, setQueryParam, removeQueryParam } from '../utils/helpers.js';
+import { t, localize, onLanguageChange } from './i18n.js';
+
+const CATALOG_URL = 'data/menu.json';
+
+// URL parameters, e.g. ?menu=cocktails&dieta=vegan,gluten-free
+const CATEGORY_PARAM = 'menu';
+const DIET_PARAM = 'dieta';
+
+// The 14 allergens of EU Regulation 1169/2011 (labels in the i18n catalogs)
+const ALLERGENS = [
+    'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soy', 'milk',
+    'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs'
+];
+
+const DIETS = ['vegetarian', 'vegan', 'gluten-free'];
+
+let catalog = null;
+let catalogElement = null;
+let activeCategory = null;
+let activeDiets = [];
+
+/**
+ * Initialize menu
+ * @param {Object} context - Kernel context ({signal})
+ */
+export function initMenu({ signal } = {}) {
+    console.log('📋 Menu module initialized');
+
+    catalogElement = document.querySelector('.menu__catalog');
+
+    if (!catalogElement) {
+        return;
+    }
+
+    // A restart (catalog already loaded) must not scroll the page again
+    const firstLoad = catalog === null;
+
+    loadCatalog()
+        .then(data => {
+            if (signal?.aborted) return;
+
+            catalog = data;
+            readStateFromUrl();
+            buildCatalog();
+            bindCards(signal);
+            render();
+
+            // Deep link: bring the catalog into view
+            if (firstLoad && (getQueryParam(CATEGORY_PARAM) || getQueryParam(DIET_PARAM))) {
+                catalogElement.scrollIntoView();
+            }
+        })
+        .catch(err => {
+            console.warn('Menu catalog not available:', err);
+        });
+
+    onLanguageChange(() => {
+        if (!catalog) return;
+        buildCatalog();
+        render();
+    }, { signal });
+
+    // Back/Forward restore tabs and filters from the URL
+    window.addEventListener('popstate', () => {
+        if (!catalog) return;
+        readStateFromUrl();
+        render();
+    }, { signal });
+}
+
+/**
+ * Load the menu catalog
+ * @returns {Promise<Object>} Catalog with categories and items
+ */
+export async function loadCatalog() {
+    const response = await fetch(CATALOG_URL);
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Filter catalog items
+ * Dietary tags are combined: an item must have all of them
+ * @param {Array<Object>} items - Catalog items
+ * @param {string|null} category - Category id (null for all)
+ * @param {Array<string>} diets - Required dietary tags
+ * @returns {Array<Object>} Matching items
+ */
+export function filterItems(items, category = null, diets = []) {
+    return items.filter(item => {
+        if (category && item.category !== category) return false;
+        return diets.every(diet => (item.tags || []).includes(diet));
+    });
+}
+
+/**
+ * Read active category and dietary filters from the URL
+ */
+function readStateFromUrl() {
+    const categoryIds = catalog.categories.map(category => category.id);
+    const category = getQueryParam(CATEGORY_PARAM);
+    const diets = getQueryParam(DIET_PARAM);
+
+    activeCategory = categoryIds.includes(category) ? category : categoryIds[0];
+    activeDiets = diets
+        ? diets.split(',').filter(diet => DIETS.includes(diet))
+        : [];
+}
+
+/**
+ * Build tabs, filters and the item panel
+ */
+function buildCatalog() {
+    const filters = DIETS.map(diet => `
+        <button class="menu__filter" type="button" data-diet="${diet}" aria-pressed="false">${t(`menu.diets.${diet}`)}</button>
+    `).join('');
+
+    catalogElement.innerHTML = `
+        <div class="menu__tabs" role="tablist" aria-label="${t('menu.tabsLabel')}"></div>
+        <div class="menu__filters" role="group" aria-label="${t('menu.filtersLabel')}">${filters}</div>
+        <div class="menu__panel" id="menu-panel" role="tabpanel" tabindex="0">
+            <ul class="menu__items"></ul>
+            <p class="menu__empty" hidden>${t('menu.empty')}</p>
+        </div>
+        <p class="menu__note">${t('menu.note')}</p>
+    `;
+
+    const tabList = catalogElement.querySelector('.menu__tabs');
+
+    // Category labels come from the data: text only, never markup
+    catalog.categories.forEach(category => tabList.appendChild(createTabElement(category)));
+
+    tabList.addEventListener('click', (e) => {
+        const tab = e.target.closest('.menu__tab');
+        if (tab) {
+            selectCategory(tab.dataset.category);
+        }
+    });
+
+    tabList.addEventListener('keydown', handleTabKeyboard);
+
+    catalogElement.querySelector('.menu__filters').addEventListener('click', (e) => {
+        const filter = e.target.closest('.menu__filter');
+        if (filter) {
+            toggleDiet(filter.dataset.diet);
+        }
+    });
+}
+
+/**
+ * Create a category tab
+ * @param {Object} category - Category data
+ * @returns {HTMLElement} Tab button
+ */
+function createTabElement(category) {
+    const tab = document.createElement('button');
+    tab.className = 'menu__tab';
+    tab.type = 'button';
+    tab.id = `menu-tab-${category.id}`;
+    tab.dataset.category = category.id;
+    tab.setAttribute('role', 'tab');
+    tab.setAttribute('aria-controls', 'menu-panel');
+    tab.textContent = localize(category, 'label');
+    return tab;
+}
+
+/**
+ * Make the preview cards open their category
+ * @param {AbortSignal} signal - Removes the listeners on teardown
+ */
+function bindCards(signal) {
+    const cards = document.querySelectorAll('.menu__card[data-menu-category]');
+
+    cards.forEach(card => {
+        const category = card.dataset.menuCategory;
+
+        card.setAttribute('role', 'button');
+        card.setAttribute('tabindex', '0');
+        card.setAttribute('aria-controls', 'menu-panel');
+
+        const open = () => {
+            selectCategory(category);
+            catalogElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        };
+
+        card.addEventListener('click', open, { signal });
+        card.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                open();
+            }
+        }, { signal });
+    });
+}
+
+/**
+ * Select a category and store it in the URL
+ * @param {string} category - Category id
+ */
+function selectCategory(category) {
+    if (category === activeCategory) return;
+
+    activeCategory = category;
+    setQueryParam(CATEGORY_PARAM, category);
+    render();
+}
+
+/**
+ * Toggle a dietary filter and store the selection in the URL
+ * @param {string} diet - Dietary tag
+ */
+function toggleDiet(diet) {
+    activeDiets = activeDiets.includes(diet)
+        ? activeDiets.filter(item => item !== diet)
+        : [...activeDiets, diet];
+
+    if (activeDiets.length > 0) {
+        setQueryParam(DIET_PARAM, activeDiets.join(','));
+    } else {
+        removeQueryParam(DIET_PARAM);
+    }
+
+    render();
+}
+
+/**
+ * Arrow key navigation between tabs
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function handleTabKeyboard(e) {
+    const tabs = Array.from(catalogElement.querySelectorAll('.menu__tab'));
+    const index = tabs.indexOf(document.activeElement);
+
+    if (index === -1) return;
+
+    let nextIndex;
+
+    switch(e.key) {
+        case 'ArrowLeft':
+            nextIndex = (index - 1 + tabs.length) % tabs.length;
+            break;
+        case 'ArrowRight':
+            nextIndex = (index + 1) % tabs.length;
+            break;
+        case 'Home':
+            nextIndex = 0;
+            break;
+        case 'End':
+            nextIndex = tabs.length - 1;
+            break;
+        default:
+            return;
+    }
+
+    e.preventDefault();
+    tabs[nextIndex].focus();
+    selectCategory(tabs[nextIndex].dataset.category);
+}
+
+/**
+ * Render tabs, filters and the items of the active category
+ */
+function render() {
+    catalogElement.querySelectorAll('.menu__tab').forEach(tab => {
+        const isActive = tab.dataset.category === activeCategory;
+        tab.classList.toggle('menu__tab--active', isActive);
+        tab.setAttribute('aria-selected', isActive ? 'true' : 'false');
+        tab.setAttribute('tabindex', isActive ? '0' : '-1');
+    });
+
+    catalogElement.querySelectorAll('.menu__filter').forEach(filter => {
+        const isActive = activeDiets.includes(filter.dataset.diet);
+        filter.classList.toggle('menu__filter--active', isActive);
+        filter.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+
+    document.querySelectorAll('.menu__card[data-menu-category]').forEach(card => {
+        const category = catalog.categories.find(item => item.id === card.dataset.menuCategory);
+
+        card.classList.toggle('menu__card--active', card.dataset.menuCategory === activeCategory);
+
+        if (category) {
+            card.setAttribute('aria-label', t('menu.openCategory', { category: localize(category, 'label') }));
+        }
+    });
+
+    const panel = catalogElement.querySelector('.menu__panel');
+    const list = catalogElement.querySelector('.menu__items');
+    const empty = catalogElement.querySelector('.menu__empty');
+    const items = filterItems(catalog.items, activeCategory, activeDiets);
+
+    panel.setAttribute('aria-labelledby', `menu-tab-${activeCategory}`);
+    list.innerHTML = '';
+    items.forEach(item => list.appendChild(createItemElement(item)));
+    empty.hidden = items.length > 0;
+}
+
+/**
+ * Create a menu item element
+ * @param {Object} item - Catalog item
+ * @returns {HTMLElement} List item
+ */
+function createItemElement(item) {
+    const element = document.createElement('li');
+    element.className = 'menu-item';
+
+    if (item.available === false) {
+        element.classList.add('menu-item--unavailable');
+    }
+
+    element.innerHTML = `
+        <div class="menu-item__header">
+            <h4 class="menu-item__name"></h4>
+            <span class="menu-item__price"></span>
+        </div>
+        <p class="menu-item__description"></p>
+        <ul class="menu-item__tags"></ul>
+        <p class="menu-item__allergens"></p>
+    `;
+
+    element.querySelector('.menu-item__name').textContent = localize(item, 'name');
+    element.querySelector('.menu-item__price').textContent = formatCurrency(item.price);
+    element.querySelector('.menu-item__description').textContent = localize(item, 'description') || '';
+
+    const tags = element.querySelector('.menu-item__tags');
+    const dietTags = (item.tags || []).filter(tag => DIETS.includes(tag));
+
+    if (item.available === false) {
+        tags.appendChild(createTag(t('menu.unavailable'), 'unavailable'));
+    }
+
+    dietTags.forEach(tag => tags.appendChild(createTag(t(`menu.diets.${tag}`), tag)));
+
+    const allergens = element.querySelector('.menu-item__allergens');
+    const allergenLabels = (item.allergens || [])
+        .filter(code => ALLERGENS.includes(code))
+        .map(code => t(`menu.allergens.${code}`));
+
+    if (allergenLabels.length > 0) {
+        allergens.textContent = t('menu.allergensList', { list: allergenLabels.join(', ') });
+    } else {
+        allergens.remove();
+    }
+
+    if (tags.children.length === 0) {
+        tags.remove();
+    }
+
+    return element;
+}
+
+/**
+ * Create a tag element
+ * @param {string} label - Visible label
+ * @param {string} modifier - BEM modifier
+ * @returns {HTMLElement} Tag element
+ */
+function createTag(label, modifier) {
+    const tag = document.createElement('li');
+    tag.className = `menu-item__tag menu-item__tag--${modifier}`;
+    tag.textContent = label;
+    return tag;
+}
\ No newline at end of file
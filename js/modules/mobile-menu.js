@@ -1,14 +1,41 @@
 /**
  * MOBILE MENU MODULE - A i' centrale
  * Handles mobile hamburger menu functionality
+ * The drawer also follows the finger: drag it right to close, swipe in from the right edge to open.
  */
 
-let isMenuOpen = false;
+import { t, onLanguageChange } from './i18n.js';
+import { openDialog, closeDialog, hasOpenDialog } from '../utils/dialog.js';
+import { track } from './analytics.js';
+import { store } from '../core/store.js';
+
+// Same breakpoint as the CSS: the drawer only exists below it
+const DESKTOP_MIN_WIDTH = 1024;
+
+// A touch starting this close to the right edge can pull the drawer in
+const EDGE_WIDTH = 24;          // px
+
+// Movement needed to tell a horizontal drag from a vertical scroll
+const DRAG_THRESHOLD = 10;      // px
+
+// On release the gesture completes past this share of the width...
+const SNAP_DISTANCE = 0.4;
+
+// ...or when the finger moves faster than this (a flick)
+const SNAP_VELOCITY = 0.5;      // px/ms
+
+// Release velocity is measured over the last moves in this window
+const VELOCITY_WINDOW = 100;    // ms
+
+let elements = null;
+let resizeTimer = null;
+let drag = null;
 
 /**
  * Initialize mobile menu
+ * @param {Object} context - Kernel context ({signal})
  */
-export function initMobileMenu() {
+export function initMobileMenu({ signal } = {}) {
     console.log('📱 Mobile menu module initialized');
     
     const burger = document.querySelector('.header__burger');
@@ -20,41 +47,72 @@ export function initMobileMenu() {
         return;
     }
     
+    elements = { burger, mobileNav, overlay };
+    
+    // State set before the first toggle, so it is announced right away
+    if (!mobileNav.id) {
+        mobileNav.id = 'mobileNav';
+    }
+    burger.setAttribute('aria-controls', mobileNav.id);
+    burger.setAttribute('aria-expanded', String(isMenuOpen()));
+    
+    // Closed, the drawer is only moved off screen: keep its links out of the tab order
+    mobileNav.inert = !isMenuOpen();
+    
+    updateBurgerLabel(burger);
+    onLanguageChange(() => updateBurgerLabel(burger), { signal });
+    
     // Toggle menu on burger click
     burger.addEventListener('click', () => {
         toggleMenu(burger, mobileNav, overlay);
-    });
+    }, { signal });
     
     // Close menu on overlay click
     overlay.addEventListener('click', () => {
         closeMenu(burger, mobileNav, overlay);
-    });
+    }, { signal });
     
     // Close menu on link click
     const mobileLinks = mobileNav.querySelectorAll('.nav__link');
     mobileLinks.forEach(link => {
         link.addEventListener('click', () => {
             closeMenu(burger, mobileNav, overlay);
-        });
-    });
-    
-    // Close menu on Escape key
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && isMenuOpen) {
-            closeMenu(burger, mobileNav, overlay);
-        }
+        }, { signal });
     });
     
     // Handle resize - close menu if window becomes desktop size
-    let resizeTimer;
     window.addEventListener('resize', () => {
         clearTimeout(resizeTimer);
         resizeTimer = setTimeout(() => {
-            if (window.innerWidth >= 1024 && isMenuOpen) {
+            if (window.innerWidth >= DESKTOP_MIN_WIDTH && isMenuOpen()) {
                 closeMenu(burger, mobileNav, overlay);
             }
         }, 250);
-    });
+    }, { signal });
+    
+    initGestures(signal);
+}
+
+/**
+ * Close the menu and stop pending work
+ */
+export function destroyMobileMenu() {
+    clearTimeout(resizeTimer);
+    cancelDrag();
+    
+    if (elements && isMenuOpen()) {
+        closeMenu(elements.burger, elements.mobileNav, elements.overlay);
+    }
+    
+    elements = null;
+}
+
+/**
+ * Set the translated burger label for the current state
+ * @param {HTMLElement} burger - Burger button element
+ */
+function updateBurgerLabel(burger) {
+    burger.setAttribute('aria-label', t(isMenuOpen() ? 'nav.close' : 'nav.open'));
 }
 
 /**
@@ -80,11 +138,13 @@ function createOverlay() {
  * @param {HTMLElement} overlay - Overlay element
  */
 function toggleMenu(burger, mobileNav, overlay) {
-    if (isMenuOpen) {
+    if (isMenuOpen()) {
         closeMenu(burger, mobileNav, overlay);
     } else {
         openMenu(burger, mobileNav, overlay);
     }
+    
+    track('menu_toggle', { open: isMenuOpen() });
 }
 
 /**
@@ -94,25 +154,26 @@ function toggleMenu(burger, mobileNav, overlay) {
  * @param {HTMLElement} overlay - Overlay element
  */
 function openMenu(burger, mobileNav, overlay) {
-    isMenuOpen = true;
+    store.set('menuOpen', true);
     
     // Add classes
     burger.classList.add('header__burger--active');
     mobileNav.classList.add('nav--open');
     overlay.classList.add('header__overlay--visible');
-    document.body.classList.add('menu-open');
     
     // Update ARIA attributes
     burger.setAttribute('aria-expanded', 'true');
+    updateBurgerLabel(burger);
     mobileNav.setAttribute('aria-hidden', 'false');
+    mobileNav.inert = false;
     
-    // Focus first link for accessibility
-    const firstLink = mobileNav.querySelector('.nav__link');
-    if (firstLink) {
-        setTimeout(() => {
-            firstLink.focus();
-        }, 300); // Wait for animation
-    }
+    // Trap focus in the menu; burger and overlay stay usable to close it
+    openDialog(mobileNav, {
+        trigger: burger,
+        initialFocus: mobileNav.querySelector('.nav__link'),
+        keep: [burger, overlay],
+        onDismiss: () => closeMenu(burger, mobileNav, overlay)
+    });
     
     console.log('Mobile menu opened');
 }
@@ -124,27 +185,204 @@ function openMenu(burger, mobileNav, overlay) {
  * @param {HTMLElement} overlay - Overlay element
  */
 function closeMenu(burger, mobileNav, overlay) {
-    isMenuOpen = false;
+    store.set('menuOpen', false);
     
     // Remove classes
     burger.classList.remove('header__burger--active');
     mobileNav.classList.remove('nav--open');
     overlay.classList.remove('header__overlay--visible');
-    document.body.classList.remove('menu-open');
     
     // Update ARIA attributes
     burger.setAttribute('aria-expanded', 'false');
+    updateBurgerLabel(burger);
     mobileNav.setAttribute('aria-hidden', 'true');
     
+    closeDialog(mobileNav);
+    mobileNav.inert = true;
+    
     console.log('Mobile menu closed');
 }
 
+/**
+ * Swipe gestures
+ * Touch events on the document: the edge swipe starts outside the drawer.
+ * @param {AbortSignal} signal - Removes the listeners on teardown
+ */
+function initGestures(signal) {
+    document.addEventListener('touchstart', startDrag, { signal, passive: true });
+    
+    // Not passive: once the drag is horizontal it replaces the scroll
+    document.addEventListener('touchmove', moveDrag, { signal, passive: false });
+    document.addEventListener('touchend', endDrag, { signal });
+    document.addEventListener('touchcancel', cancelDrag, { signal });
+}
+
+/**
+ * Start tracking a touch that may become a drag
+ * Open: touches on the drawer or the overlay. Closed: touches at the right edge.
+ * @param {TouchEvent} e - Touch event
+ */
+function startDrag(e) {
+    drag = null;
+    
+    if (!elements || e.touches.length > 1 || window.innerWidth >= DESKTOP_MIN_WIDTH) return;
+    
+    const { mobileNav, overlay } = elements;
+    const touch = e.touches[0];
+    const open = isMenuOpen();
+    
+    if (open) {
+        if (!mobileNav.contains(e.target) && e.target !== overlay) return;
+    } else if (touch.clientX < window.innerWidth - EDGE_WIDTH || hasOpenDialog()) {
+        return;
+    }
+    
+    drag = {
+        open,
+        startX: touch.clientX,
+        startY: touch.clientY,
+        width: mobileNav.offsetWidth,
+        offset: open ? 0 : mobileNav.offsetWidth,
+        horizontal: null,
+        samples: [{ x: touch.clientX, time: e.timeStamp }]
+    };
+}
+
+/**
+ * Move the drawer with the finger
+ * @param {TouchEvent} e - Touch event
+ */
+function moveDrag(e) {
+    if (!drag) return;
+    
+    if (e.touches.length > 1) {
+        cancelDrag();
+        return;
+    }
+    
+    const touch = e.touches[0];
+    const dx = touch.clientX - drag.startX;
+    const dy = touch.clientY - drag.startY;
+    
+    if (drag.horizontal === null) {
+        if (Math.max(Math.abs(dx), Math.abs(dy)) < DRAG_THRESHOLD) return;
+    
+        // Vertical: a scroll of the drawer (or the page), not ours
+        if (Math.abs(dy) > Math.abs(dx)) {
+            drag = null;
+            return;
+        }
+    
+        drag.horizontal = true;
+        elements.mobileNav.classList.add('nav--dragging');
+        elements.overlay.classList.add('header__overlay--visible', 'header__overlay--dragging');
+    }
+    
+    e.preventDefault();
+    
+    // The offset is the drawer's translateX: 0 open, its width closed
+    const start = drag.open ? 0 : drag.width;
+    drag.offset = Math.min(Math.max(start + dx, 0), drag.width);
+    
+    drag.samples.push({ x: touch.clientX, time: e.timeStamp });
+    drag.samples = drag.samples.filter(sample => e.timeStamp - sample.time <= VELOCITY_WINDOW);
+    
+    elements.mobileNav.style.transform = `translateX(${drag.offset}px)`;
+    elements.overlay.style.opacity = String(1 - drag.offset / drag.width);
+}
+
+/**
+ * Release: snap open or closed
+ * A flick decides by its direction, a slow drag by how far it went.
+ * @param {TouchEvent} e - Touch event
+ */
+function endDrag(e) {
+    if (!drag || !drag.horizontal) {
+        drag = null;
+        return;
+    }
+    
+    const { open, offset, width } = drag;
+    const velocity = getVelocity(drag.samples, e.timeStamp);
+    const travelled = Math.abs(offset - (open ? 0 : width)) / width;
+    
+    let shouldOpen = open;
+    
+    if (Math.abs(velocity) >= SNAP_VELOCITY) {
+        shouldOpen = velocity < 0;
+    } else if (travelled >= SNAP_DISTANCE) {
+        shouldOpen = !open;
+    }
+    
+    // The CSS transition takes over from where the finger left the drawer
+    resetDrag();
+    
+    const { burger, mobileNav, overlay } = elements;
+    
+    if (shouldOpen === open) {
+        overlay.classList.toggle('header__overlay--visible', open);
+        return;
+    }
+    
+    if (shouldOpen) {
+        openMenu(burger, mobileNav, overlay);
+    } else {
+        closeMenu(burger, mobileNav, overlay);
+    }
+    
+    track('menu_toggle', { open: shouldOpen, gesture: 'swipe' });
+}
+
+/**
+ * Drop the drag and put the drawer back where its state says
+ */
+function cancelDrag() {
+    if (drag && drag.horizontal && elements) {
+        resetDrag();
+        elements.overlay.classList.toggle('header__overlay--visible', isMenuOpen());
+    }
+    
+    drag = null;
+}
+
+/**
+ * Remove the inline drag styles
+ */
+function resetDrag() {
+    const { mobileNav, overlay } = elements;
+    
+    mobileNav.classList.remove('nav--dragging');
+    mobileNav.style.removeProperty('transform');
+    overlay.classList.remove('header__overlay--dragging');
+    overlay.style.removeProperty('opacity');
+    
+    drag = null;
+}
+
+/**
+ * Finger velocity at release
+ * @param {Array<Object>} samples - Recent positions ({x, time})
+ * @param {number} now - Release time
+ * @returns {number} px/ms, positive towards the right (closing)
+ */
+function getVelocity(samples, now) {
+    const recent = samples.filter(sample => now - sample.time <= VELOCITY_WINDOW);
+    
+    if (recent.length < 2) return 0;
+    
+    const first = recent[0];
+    const last = recent[recent.length - 1];
+    const elapsed = last.time - first.time;
+    
+    return elapsed > 0 ? (last.x - first.x) / elapsed : 0;
+}
+
 /**
  * Check if menu is open
  * @returns {boolean} Menu state
  */
 export function isMenuOpen() {
-    return isMenuOpen;
+    return store.get('menuOpen');
 }
 
 /**
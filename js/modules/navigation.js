@@ -1,104 +1,181 @@
 /**
  * NAVIGATION MODULE - A i' centrale
- * Handles navigation active states and scroll spy
+ * Renders the nav links from the section registry, handles active states and scroll spy
  */
 
+import { track } from './analytics.js';
+import { t } from './i18n.js';
+import { store } from '../core/store.js';
+import { onScroll } from '../core/scroll.js';
+import { getSections, getNavSections } from '../core/sections.js';
+
+// Tolerance for the spy line (fractional scroll positions, zoom)
+const SPY_TOLERANCE = 2;
+
+let headerHeight = 0;
+
 /**
  * Initialize navigation
+ * Must run before the modules that bind the nav links (mobile menu, smooth scroll)
+ * @param {Object} context - Kernel context ({signal})
  */
-export function initNavigation() {
+export function initNavigation({ signal } = {}) {
     console.log('🧭 Navigation module initialized');
     
-    initScrollSpy();
+    renderNavs();
+    
+    // The store only notifies real changes: scrolling inside a section counts once
+    store.subscribe('activeSection', (sectionId) => {
+        updateActiveLink(sectionId);
+        
+        if (sectionId) {
+            track('section_view', { section: sectionId });
+        }
+    }, { signal });
+    
+    observeHeader(signal);
+    initScrollSpy(signal);
     initActiveLinks();
+    
+    // Update active link when URL hash changes
+    window.addEventListener('hashchange', () => {
+        const hash = window.location.hash;
+        if (hash && !isRouteHash(hash)) {
+            store.set('activeSection', hash.substring(1));
+        }
+    }, { signal });
+}
+
+/**
+ * Render the links of every nav list ([data-nav-list]: desktop and mobile)
+ * Labels keep their data-i18n key, so a language change translates them.
+ */
+function renderNavs() {
+    const items = getNavSections().map(section => `
+        <li class="nav__item"><a href="#${section.id}" class="nav__link" data-i18n="${section.label}">${t(section.label)}</a></li>
+    `).join('');
+    
+    document.querySelectorAll('[data-nav-list]').forEach(list => {
+        list.innerHTML = items;
+    });
+}
+
+/**
+ * Keep the header height up to date
+ * The spy line sits right below the header, where smooth scroll puts a section's top.
+ * @param {AbortSignal} signal - Stops observing on teardown
+ */
+function observeHeader(signal) {
+    const header = document.querySelector('.header');
+    
+    headerHeight = header ? header.offsetHeight : 0;
+    
+    if (!header) return;
+    
+    const resizeObserver = new ResizeObserver(() => {
+        headerHeight = header.offsetHeight;
+    });
+    
+    resizeObserver.observe(header);
+    signal?.addEventListener('abort', () => resizeObserver.disconnect());
 }
 
 /**
  * Scroll Spy
  * Highlights navigation links based on current section in viewport
+ * @param {AbortSignal} signal - Stops the spy on teardown
  */
-function initScrollSpy() {
-    const sections = document.querySelectorAll('section[id]');
-    const navLinks = document.querySelectorAll('.nav__link');
+function initScrollSpy(signal) {
+    // Only the sections in the page: on a router page most of them are not
+    const sections = getSections()
+        .map(section => document.getElementById(section.id))
+        .filter(Boolean);
     
-    if (sections.length === 0 || navLinks.length === 0) {
+    if (sections.length === 0) {
         return;
     }
     
-    // Options for Intersection Observer
-    const options = {
-        root: null,
-        rootMargin: '-80px 0px -80% 0px', // Adjust based on header height
-        threshold: 0
-    };
-    
-    // Callback for intersection
-    const callback = (entries) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                const sectionId = entry.target.getAttribute('id');
-                updateActiveLink(sectionId);
-            }
-        });
-    };
-    
-    // Create observer
-    const observer = new IntersectionObserver(callback, options);
-    
-    // Observe all sections
-    sections.forEach(section => {
-        observer.observe(section);
+    onScroll(({ y, maxY }) => {
+        const points = getActivationPoints(sections, y, maxY);
+        const index = points.findLastIndex(point => point <= y + SPY_TOLERANCE);
+        
+        store.set('activeSection', index === -1 ? null : sections[index].id);
+    }, { signal });
+}
+
+/**
+ * Scroll position at which each section becomes active
+ * A section is active once its top reaches the bottom of the header. Sections
+ * too close to the end of the page to get there (a short footer) share the
+ * last stretch of the scroll instead, so each of them still gets its turn.
+ * @param {HTMLElement[]} sections - Sections in page order
+ * @param {number} y - Current scroll position
+ * @param {number} maxY - Maximum scroll position
+ * @returns {number[]} Scroll positions, one per section
+ */
+function getActivationPoints(sections, y, maxY) {
+    const points = sections.map(section => section.getBoundingClientRect().top + y - headerHeight);
+    const firstUnreachable = points.findIndex(point => point > maxY);
+    
+    if (firstUnreachable === -1) {
+        return points;
+    }
+    
+    const start = firstUnreachable > 0 ? Math.max(points[firstUnreachable - 1], 0) : 0;
+    const count = points.length - firstUnreachable;
+    
+    return points.map((point, index) => {
+        if (index < firstUnreachable) return point;
+        
+        const step = index - firstUnreachable + 1;
+        return start + (maxY - start) * step / count;
     });
 }
 
 /**
  * Update active link in navigation
- * @param {string} sectionId - ID of the current section
+ * @param {string|null} sectionId - ID of the current section
  */
 function updateActiveLink(sectionId) {
     const navLinks = document.querySelectorAll('.nav__link');
     
     navLinks.forEach(link => {
-        const href = link.getAttribute('href');
+        const isActive = Boolean(sectionId) && link.getAttribute('href') === `#${sectionId}`;
         
-        if (href === `#${sectionId}`) {
-            link.classList.add('nav__link--active');
+        link.classList.toggle('nav__link--active', isActive);
+        
+        if (isActive) {
+            link.setAttribute('aria-current', 'location');
         } else {
-            link.classList.remove('nav__link--active');
+            link.removeAttribute('aria-current');
         }
     });
 }
 
 /**
  * Initialize active links on page load
- * Checks URL hash and highlights corresponding link
+ * Checks URL hash and highlights corresponding link (the spy covers the rest)
  */
 function initActiveLinks() {
     const hash = window.location.hash;
     
-    if (hash) {
+    if (hash && !isRouteHash(hash)) {
         const sectionId = hash.substring(1); // Remove #
-        updateActiveLink(sectionId);
-    } else {
-        // Default to first section (hero)
-        const firstSection = document.querySelector('section[id]');
-        if (firstSection) {
-            updateActiveLink(firstSection.getAttribute('id'));
-        }
+        store.set('activeSection', sectionId);
     }
+    
+    // After a restart the section may be unchanged (no notification) but the links new
+    updateActiveLink(store.get('activeSection'));
 }
 
 /**
- * Handle hash change
- * Update active link when URL hash changes
+ * Check if a hash is a router page (#/menu) rather than a section
+ * @param {string} hash - URL hash
+ * @returns {boolean} True for #/ routes
  */
-window.addEventListener('hashchange', () => {
-    const hash = window.location.hash;
-    if (hash) {
-        const sectionId = hash.substring(1);
-        updateActiveLink(sectionId);
-    }
-});
+function isRouteHash(hash) {
+    return hash.startsWith('#/');
+}
 
 /**
  * Export functions for external use
@@ -0,0 +1,492 @@
+/**
+ * OPENING HOURS MODULE - A i' centrale
+ * Structured opening-hours schedule and live "open now" status
+ */
+
+import { formatTime, formatDate, getDefaultLocale } from '../utils/helpers.js';
+import { t, localize, onLanguageChange } from './i18n.js';
+
+const SCHEDULE_URL = 'data/opening-hours.json';
+const DEFAULT_TIME_ZONE = 'Europe/Rome';
+const CLOSING_SOON_MINUTES = 30;
+const LOOKAHEAD_DAYS = 14;
+const MINUTES_PER_DAY = 1440;
+
+// Day keys indexed like Date.getDay() (0 = Sunday)
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEK_ORDER = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+let schedulePromise = null;
+let currentSchedule = null;
+let refreshTimer = null;
+
+/**
+ * Initialize opening hours
+ * Loads the schedule, renders the footer list and keeps the badges live
+ * @param {Object} context - Kernel context ({signal})
+ */
+export function initOpeningHours({ signal } = {}) {
+    console.log('🕐 Opening hours module initialized');
+
+    const badges = document.querySelectorAll('[data-hours-badge]');
+    const lists = document.querySelectorAll('[data-hours-list]');
+
+    if (badges.length === 0 && lists.length === 0) {
+        return;
+    }
+
+    const render = () => {
+        lists.forEach(list => renderScheduleList(list, currentSchedule));
+        refreshStatus();
+    };
+
+    loadSchedule()
+        .then(schedule => {
+            currentSchedule = schedule;
+
+            // Destroyed while loading: don't start the refresh timer again
+            if (!signal?.aborted) render();
+        })
+        .catch(err => {
+            // Keep the static fallback markup from index.html
+            console.warn('Opening hours not available:', err);
+        });
+
+    onLanguageChange(() => {
+        if (currentSchedule) render();
+    }, { signal });
+
+    // Refresh immediately when the tab becomes visible again
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden && currentSchedule) {
+            refreshStatus();
+        }
+    }, { signal });
+}
+
+/**
+ * Stop the live status refresh
+ */
+export function destroyOpeningHours() {
+    clearTimeout(refreshTimer);
+}
+
+/**
+ * Load the opening-hours schedule
+ * The request is shared, so every caller gets the same data
+ * @returns {Promise<Object>} Schedule data
+ */
+export function loadSchedule() {
+    if (!schedulePromise) {
+        schedulePromise = fetch(SCHEDULE_URL)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch(err => {
+                // Allow a later retry
+                schedulePromise = null;
+                throw err;
+            });
+    }
+
+    return schedulePromise;
+}
+
+/**
+ * Get calendar date and time of day in a given timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA timezone (default: 'Europe/Rome')
+ * @returns {{dateKey: string, dayKey: string, minutes: number}} Zoned parts
+ */
+export function getZonedParts(date = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+    const parts = {};
+
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    const dateKey = `${parts.year}-${parts.month}-${parts.day}`;
+
+    return {
+        dateKey,
+        dayKey: getDayKey(dateKey),
+        minutes: (parseInt(parts.hour, 10) % 24) * 60 + parseInt(parts.minute, 10)
+    };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a real instant
+ * @param {string} dateKey - Date key ('YYYY-MM-DD')
+ * @param {number} minutes - Minutes after midnight
+ * @param {string} timeZone - IANA timezone (default: 'Europe/Rome')
+ * @returns {Date} Instant
+ */
+export function zonedTimeToDate(dateKey, minutes, timeZone = DEFAULT_TIME_ZONE) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+    // Offset between the wall clock and UTC, checked twice around DST changes
+    const getOffset = (instant) => {
+        const parts = getZonedParts(new Date(instant), timeZone);
+        const [y, m, d] = parts.dateKey.split('-').map(Number);
+        return Date.UTC(y, m - 1, d, 0, parts.minutes) - instant;
+    };
+
+    let instant = wallClock - getOffset(wallClock);
+    instant = wallClock - getOffset(instant);
+
+    return new Date(instant);
+}
+
+/**
+ * Add days to a 'YYYY-MM-DD' date key
+ * @param {string} dateKey - Date key
+ * @param {number} days - Days to add (can be negative)
+ * @returns {string} New date key
+ */
+export function addDays(dateKey, days) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get weekday key ('mon', 'tue'...) for a date key
+ * @param {string} dateKey - Date key
+ * @returns {string} Weekday key
+ */
+export function getDayKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return DAY_KEYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+}
+
+/**
+ * Convert a date key to a local Date (midnight) for display helpers
+ * @param {string} dateKey - Date key
+ * @param {number} minutes - Minutes after midnight (default: 0)
+ * @returns {Date} Local date
+ */
+export function dateKeyToDate(dateKey, minutes = 0) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+}
+
+/**
+ * Parse 'HH:MM' into minutes after midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes
+ */
+function parseTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Get the opening intervals of a single day
+ * Exceptions win over holidays, holidays win over the weekly hours.
+ * Intervals closing after midnight have an end greater than 1440.
+ * @param {Object} schedule - Schedule data
+ * @param {string} dateKey - Date key
+ * @returns {{intervals: Array<{start: number, end: number}>, label: string|null}} Day schedule
+ */
+export function getDaySchedule(schedule, dateKey) {
+    const exception = (schedule.exceptions || []).find(item => item.date === dateKey);
+    const holiday = (schedule.holidays || []).find(item => {
+        return item.date === dateKey || item.date === dateKey.slice(5);
+    });
+
+    let hours;
+    let label = null;
+
+    if (exception) {
+        hours = exception.closed ? [] : (exception.hours || []);
+        label = localize(exception, 'label') || null;
+    } else if (holiday) {
+        hours = [];
+        label = localize(holiday, 'label') || null;
+    } else {
+        hours = schedule.weekly[getDayKey(dateKey)] || [];
+    }
+
+    return { intervals: toIntervals(hours), label };
+}
+
+/**
+ * Convert raw 'HH:MM' pairs into sorted minute intervals
+ * @param {Array<{open: string, close: string}>} hours - Raw hours
+ * @returns {Array<{start: number, end: number}>} Intervals
+ */
+function toIntervals(hours) {
+    return hours
+        .map(({ open, close }) => {
+            const start = parseTime(open);
+            let end = parseTime(close);
+
+            // Closing time before opening time means after midnight
+            if (end <= start) {
+                end += MINUTES_PER_DAY;
+            }
+
+            return { start, end };
+        })
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Check whether the venue is closed for the whole day
+ * @param {Object} schedule - Schedule data
+ * @param {string} dateKey - Date key
+ * @returns {boolean} True if there are no opening intervals
+ */
+export function isClosedOn(schedule, dateKey) {
+    return getDaySchedule(schedule, dateKey).intervals.length === 0;
+}
+
+/**
+ * Evaluate the schedule at a given instant
+ * @param {Object} schedule - Schedule data
+ * @param {Date} date - Instant to evaluate (default: now)
+ * @returns {Object} Status with isOpen, closesAt/opensAt and closingSoon
+ */
+export function getOpeningStatus(schedule, date = new Date()) {
+    const timeZone = schedule.timeZone || DEFAULT_TIME_ZONE;
+    const { dateKey, minutes } = getZonedParts(date, timeZone);
+    const yesterday = addDays(dateKey, -1);
+
+    // Shifts from yesterday still running after midnight
+    const overnight = getDaySchedule(schedule, yesterday).intervals
+        .find(interval => minutes < interval.end - MINUTES_PER_DAY);
+
+    if (overnight) {
+        return createOpenStatus(dateKey, overnight.end - MINUTES_PER_DAY, overnight.end - MINUTES_PER_DAY - minutes);
+    }
+
+    const today = getDaySchedule(schedule, dateKey);
+    const current = today.intervals.find(interval => {
+        return interval.start <= minutes && minutes < interval.end;
+    });
+
+    if (current) {
+        const closesDateKey = current.end >= MINUTES_PER_DAY ? addDays(dateKey, 1) : dateKey;
+        return createOpenStatus(closesDateKey, current.end % MINUTES_PER_DAY, current.end - minutes);
+    }
+
+    // Closed - look ahead for the next opening
+    for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+        const day = addDays(dateKey, offset);
+        const next = getDaySchedule(schedule, day).intervals
+            .find(interval => offset > 0 || interval.start > minutes);
+
+        if (next) {
+            return {
+                isOpen: false,
+                closingSoon: false,
+                reason: today.intervals.length === 0 ? today.label : null,
+                opensAt: { dateKey: day, minutes: next.start, dayOffset: offset }
+            };
+        }
+    }
+
+    return {
+        isOpen: false,
+        closingSoon: false,
+        reason: today.label,
+        opensAt: null
+    };
+}
+
+/**
+ * Build an "open" status object
+ * @param {string} dateKey - Date key of the closing time
+ * @param {number} closeMinutes - Closing time in minutes
+ * @param {number} remaining - Minutes left before closing
+ * @returns {Object} Status
+ */
+function createOpenStatus(dateKey, closeMinutes, remaining) {
+    return {
+        isOpen: true,
+        closingSoon: remaining <= CLOSING_SOON_MINUTES,
+        reason: null,
+        closesAt: { dateKey, minutes: closeMinutes }
+    };
+}
+
+/**
+ * Format minutes after midnight with the shared time helper
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Formatted time
+ */
+function formatMinutes(minutes) {
+    return formatTime(dateKeyToDate('2000-01-01', minutes % MINUTES_PER_DAY));
+}
+
+/**
+ * Describe a status as badge label and detail text
+ * @param {Object} status - Status from getOpeningStatus
+ * @returns {{label: string, detail: string}} Texts
+ */
+export function describeStatus(status) {
+    if (status.isOpen) {
+        return {
+            label: t(status.closingSoon ? 'hours.closingSoon' : 'hours.open'),
+            detail: t('hours.closesAt', { time: formatMinutes(status.closesAt.minutes) })
+        };
+    }
+
+    const label = status.reason ? t('hours.closedFor', { reason: status.reason }) : t('hours.closed');
+
+    if (!status.opensAt) {
+        return { label, detail: '' };
+    }
+
+    const { dateKey, minutes, dayOffset } = status.opensAt;
+    const time = formatMinutes(minutes);
+    let detail;
+
+    if (dayOffset === 0) {
+        detail = t('hours.opensToday', { time });
+    } else if (dayOffset === 1) {
+        detail = t('hours.opensTomorrow', { time });
+    } else if (dayOffset < 7) {
+        const day = new Intl.DateTimeFormat(getDefaultLocale(), { weekday: 'long' }).format(dateKeyToDate(dateKey));
+        detail = t('hours.opensOn', { day, time });
+    } else {
+        detail = t('hours.opensOnDate', { date: formatDate(dateKeyToDate(dateKey)), time });
+    }
+
+    return { label, detail };
+}
+
+/**
+ * Update every status badge on the page
+ * @param {Object} status - Status from getOpeningStatus
+ */
+function renderBadges(status) {
+    const { label, detail } = describeStatus(status);
+    const badges = document.querySelectorAll('[data-hours-badge]');
+
+    badges.forEach(badge => {
+        badge.classList.toggle('hours-badge--open', status.isOpen && !status.closingSoon);
+        badge.classList.toggle('hours-badge--closing', status.closingSoon);
+        badge.classList.toggle('hours-badge--closed', !status.isOpen);
+
+        badge.innerHTML = `
+            <span class="hours-badge__dot" aria-hidden="true"></span>
+            <span class="hours-badge__label"></span>
+            <span class="hours-badge__detail"></span>
+        `;
+        badge.querySelector('.hours-badge__label').textContent = label;
+        badge.querySelector('.hours-badge__detail').textContent = detail;
+        badge.hidden = false;
+    });
+}
+
+/**
+ * Render the weekly hours list
+ * Consecutive days with identical hours are grouped ("Lun - Ven")
+ * @param {HTMLElement} list - List element
+ * @param {Object} schedule - Schedule data
+ */
+function renderScheduleList(list, schedule) {
+    const timeZone = schedule.timeZone || DEFAULT_TIME_ZONE;
+    const { dateKey: todayKey, dayKey: today } = getZonedParts(new Date(), timeZone);
+    const groups = [];
+
+    WEEK_ORDER.forEach(dayKey => {
+        const hours = schedule.weekly[dayKey] || [];
+        const signature = JSON.stringify(hours);
+        const last = groups[groups.length - 1];
+
+        if (last && last.signature === signature) {
+            last.days.push(dayKey);
+        } else {
+            groups.push({ signature, hours, days: [dayKey] });
+        }
+    });
+
+    list.innerHTML = '';
+
+    groups.forEach(group => {
+        const first = group.days[0];
+        const last = group.days[group.days.length - 1];
+        const dayLabel = group.days.length === 1
+            ? t(`hours.days.${first}`)
+            : `${t(`hours.daysShort.${first}`)} - ${t(`hours.daysShort.${last}`)}`;
+
+        const item = createListItem(`${dayLabel}: ${formatIntervals(toIntervals(group.hours))}`);
+        item.classList.toggle('footer__item--today', group.days.includes(today));
+        list.appendChild(item);
+    });
+
+    // Upcoming holidays and one-off exceptions
+    for (let offset = 0; offset < LOOKAHEAD_DAYS; offset++) {
+        const dateKey = addDays(todayKey, offset);
+        const day = getDaySchedule(schedule, dateKey);
+
+        if (!day.label) continue;
+
+        const item = createListItem(`${formatDate(dateKeyToDate(dateKey))} (${day.label}): ${formatIntervals(day.intervals)}`);
+        item.classList.add('footer__item--exception');
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Format a list of opening intervals
+ * @param {Array<{start: number, end: number}>} intervals - Intervals
+ * @returns {string} Formatted hours or the closed label
+ */
+function formatIntervals(intervals) {
+    if (intervals.length === 0) {
+        return t('hours.closedAllDay');
+    }
+
+    return intervals
+        .map(({ start, end }) => `${formatMinutes(start)} - ${formatMinutes(end)}`)
+        .join(', ');
+}
+
+/**
+ * Create a footer list item
+ * @param {string} text - Item text
+ * @returns {HTMLElement} List item
+ */
+function createListItem(text) {
+    const item = document.createElement('li');
+    item.className = 'footer__item';
+    item.textContent = text;
+    return item;
+}
+
+/**
+ * Re-evaluate the status and schedule the next refresh
+ * Refreshes at the start of every minute
+ */
+function refreshStatus() {
+    clearTimeout(refreshTimer);
+
+    renderBadges(getOpeningStatus(currentSchedule));
+
+    const delay = 60000 - (Date.now() % 60000) + 50;
+    refreshTimer = setTimeout(refreshStatus, delay);
+}
+
+/**
+ * Get the loaded schedule
+ * @returns {Object|null} Schedule data or null if not loaded yet
+ */
+export function getSchedule() {
+    return currentSchedule;
+}
\ No newline at end of file
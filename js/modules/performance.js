@@ -0,0 +1,466 @@
+/**
+ * PERFORMANCE MODULE - A i' centrale
+ * Core Web Vitals (LCP, CLS, INP, TTFB) and long tasks with PerformanceObserver,
+ * reported with sampling in production and shown in an overlay in development
+ */
+
+import { hasConsent } from './consent.js';
+import { createBeaconSink } from './analytics.js';
+import { t } from './i18n.js';
+
+// Thresholds from web.dev: [good up to, poor from]
+const THRESHOLDS = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    TTFB: [800, 1800],
+    TBT: [200, 600]
+};
+
+// Long tasks: the part above 50ms blocks input (Total Blocking Time)
+const LONG_TASK = 50;
+
+// CLS session windows: shifts less than 1s apart, at most 5s per window
+const SESSION_GAP = 1000;
+const SESSION_MAX = 5000;
+
+// Only interactions slower than this are reported by the browser
+const INP_THRESHOLD = 40;
+
+// Long animation frames kept to attribute slow interactions to a script
+const FRAME_HISTORY = 50;
+
+// Share of visits reported when the meta tag has no data-sample-rate
+const DEFAULT_SAMPLE_RATE = 0.1;
+
+const metrics = {};
+const interactions = new Map();
+const frames = [];
+const observers = [];
+let clsWindow = { value: 0, start: 0, last: 0, entries: [] };
+let overlay = null;
+let reported = false;
+
+/**
+ * Initialize performance monitoring
+ * @param {Object} context - Kernel context ({signal})
+ */
+export function initPerformance({ signal } = {}) {
+    console.log('⏱️ Performance module initialized');
+
+    if (!('PerformanceObserver' in window)) return;
+
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+
+    measureTtfb();
+    observe(supported, 'largest-contentful-paint', handleLcp);
+    observe(supported, 'layout-shift', handleLayoutShift);
+    observe(supported, 'event', handleInteraction, { durationThreshold: INP_THRESHOLD });
+    observe(supported, 'first-input', handleInteraction);
+
+    // Long animation frames tell which script was running, plain long tasks don't
+    if (supported.includes('long-animation-frame')) {
+        observe(supported, 'long-animation-frame', handleLongFrame);
+    } else {
+        observe(supported, 'longtask', handleLongTask);
+    }
+
+    if (isDevelopment()) {
+        createOverlay();
+        return;
+    }
+
+    initReporting(signal);
+}
+
+/**
+ * Stop observing and remove the overlay
+ * Observers are buffered: starting again measures the page from the beginning.
+ */
+export function destroyPerformance() {
+    observers.forEach(observer => observer.disconnect());
+    observers.length = 0;
+
+    Object.keys(metrics).forEach(name => delete metrics[name]);
+    interactions.clear();
+    frames.length = 0;
+    clsWindow = { value: 0, start: 0, last: 0, entries: [] };
+    reported = false;
+
+    if (overlay) {
+        overlay.remove();
+        overlay = null;
+    }
+}
+
+/**
+ * Start a buffered observer for an entry type, if the browser has it
+ * @param {Array} supported - Supported entry types
+ * @param {string} type - Entry type
+ * @param {Function} handler - Called with each entry
+ * @param {Object} options - Extra observe() options
+ */
+function observe(supported, type, handler, options = {}) {
+    if (!supported.includes(type)) return;
+
+    try {
+        const observer = new PerformanceObserver(list => {
+            list.getEntries().forEach(handler);
+        });
+        observer.observe({ type, buffered: true, ...options });
+        observers.push(observer);
+    } catch (err) {
+        console.warn(`Performance: cannot observe ${type}`, err);
+    }
+}
+
+/**
+ * Store a metric value and refresh the overlay
+ * @param {string} name - Metric name (LCP, CLS, INP, TTFB, TBT)
+ * @param {number} value - Value (ms, or unitless for CLS)
+ * @param {Object} attribution - What caused it (element, module...)
+ */
+function setMetric(name, value, attribution) {
+    const [good, poor] = THRESHOLDS[name];
+    let rating = 'needs-improvement';
+
+    if (value <= good) {
+        rating = 'good';
+    } else if (value > poor) {
+        rating = 'poor';
+    }
+
+    metrics[name] = { name, value, rating, attribution };
+    renderOverlay();
+}
+
+/**
+ * Time to First Byte from the navigation entry
+ */
+function measureTtfb() {
+    const [navigation] = performance.getEntriesByType('navigation');
+
+    if (!navigation) return;
+
+    // Prerendered pages count from activation
+    const start = navigation.activationStart || 0;
+
+    setMetric('TTFB', Math.max(navigation.responseStart - start, 0), {
+        dns: Math.round(navigation.domainLookupEnd - navigation.domainLookupStart),
+        connection: Math.round(navigation.connectEnd - navigation.connectStart),
+        server: Math.round(navigation.responseStart - navigation.requestStart),
+        serviceWorker: navigation.workerStart > 0
+    });
+}
+
+/**
+ * Largest Contentful Paint: the last candidate wins
+ * @param {PerformanceEntry} entry - largest-contentful-paint entry
+ */
+function handleLcp(entry) {
+    const [navigation] = performance.getEntriesByType('navigation');
+    const start = navigation ? navigation.activationStart || 0 : 0;
+
+    setMetric('LCP', Math.max(entry.startTime - start, 0), {
+        element: describeElement(entry.element),
+        url: describeUrl(entry.url)
+    });
+}
+
+/**
+ * Cumulative Layout Shift: the worst session window
+ * @param {PerformanceEntry} entry - layout-shift entry
+ */
+function handleLayoutShift(entry) {
+    // Shifts right after a tap or key press are expected
+    if (entry.hadRecentInput) return;
+
+    const sameWindow = clsWindow.entries.length > 0 &&
+        entry.startTime - clsWindow.last < SESSION_GAP &&
+        entry.startTime - clsWindow.start < SESSION_MAX;
+
+    if (sameWindow) {
+        clsWindow.value += entry.value;
+        clsWindow.entries.push(entry);
+    } else {
+        clsWindow = { value: entry.value, start: entry.startTime, entries: [entry] };
+    }
+
+    clsWindow.last = entry.startTime;
+
+    if (metrics.CLS && clsWindow.value <= metrics.CLS.value) return;
+
+    // Blame the element that moved in the biggest shift of the window
+    const largest = clsWindow.entries.reduce((max, item) => item.value > max.value ? item : max);
+    const source = (largest.sources || []).find(item => item.node);
+
+    setMetric('CLS', clsWindow.value, {
+        element: describeElement(source && source.node),
+        shifts: clsWindow.entries.length
+    });
+}
+
+/**
+ * Interaction to Next Paint: close to the 98th percentile of the interactions
+ * @param {PerformanceEntry} entry - event or first-input entry
+ */
+function handleInteraction(entry) {
+    if (!entry.interactionId) return;
+
+    const existing = interactions.get(entry.interactionId);
+
+    if (existing && existing.duration >= entry.duration) return;
+
+    interactions.set(entry.interactionId, entry);
+
+    // One slow interaction is ignored for every 50 (at most 10)
+    const sorted = [...interactions.values()].sort((a, b) => b.duration - a.duration);
+    const worst = sorted[Math.min(Math.floor(interactions.size / 50), 9, sorted.length - 1)];
+
+    setMetric('INP', worst.duration, {
+        element: describeElement(worst.target),
+        event: worst.name,
+        module: findModule(worst.startTime, worst.startTime + worst.duration)
+    });
+}
+
+/**
+ * Long animation frame: blocking time and the script responsible
+ * @param {PerformanceEntry} entry - long-animation-frame entry
+ */
+function handleLongFrame(entry) {
+    frames.push(entry);
+
+    if (frames.length > FRAME_HISTORY) {
+        frames.shift();
+    }
+
+    const blocking = entry.blockingDuration || 0;
+
+    if (blocking > 0) {
+        addBlockingTime(blocking, slowestScriptModule(entry));
+    }
+}
+
+/**
+ * Long task (browsers without long animation frames)
+ * @param {PerformanceEntry} entry - longtask entry
+ */
+function handleLongTask(entry) {
+    // Attribution only says which frame, not which script
+    addBlockingTime(entry.duration - LONG_TASK, 'unknown');
+}
+
+/**
+ * Add a long task to the Total Blocking Time
+ * @param {number} blocking - Blocking part of the task (ms)
+ * @param {string} module - Script responsible
+ */
+function addBlockingTime(blocking, module) {
+    const previous = metrics.TBT ? metrics.TBT.attribution : { tasks: 0, longest: 0, module: null };
+    const total = (metrics.TBT ? metrics.TBT.value : 0) + blocking;
+    const isLongest = blocking > previous.longest;
+
+    setMetric('TBT', total, {
+        tasks: previous.tasks + 1,
+        longest: isLongest ? Math.round(blocking) : previous.longest,
+        module: isLongest ? module : previous.module
+    });
+}
+
+/**
+ * Find the script that ran longest during a time span
+ * @param {number} start - Span start (ms)
+ * @param {number} end - Span end (ms)
+ * @returns {string|null} Script file name, or null if unknown
+ */
+function findModule(start, end) {
+    const frame = frames.find(item => item.startTime < end && item.startTime + item.duration > start);
+    return frame ? slowestScriptModule(frame) : null;
+}
+
+/**
+ * Name of the slowest script of a long animation frame
+ * @param {PerformanceEntry} frame - long-animation-frame entry
+ * @returns {string} Script file name (e.g. 'gallery.js') or 'unknown'
+ */
+function slowestScriptModule(frame) {
+    const scripts = frame.scripts || [];
+
+    if (scripts.length === 0) return 'unknown';
+
+    const slowest = scripts.reduce((max, script) => script.duration > max.duration ? script : max);
+    const file = slowest.sourceURL ? slowest.sourceURL.split('?')[0].split('/').pop() : '';
+
+    return file || slowest.invoker || 'unknown';
+}
+
+/**
+ * Short, readable selector: closest section plus the element itself
+ * Classes and ids only - never text content or form values.
+ * @param {Element} element - DOM element
+ * @returns {string|null} e.g. '#gallery img.gallery__image'
+ */
+function describeElement(element) {
+    if (!element || !element.tagName) return null;
+
+    let name = element.tagName.toLowerCase();
+
+    if (element.id) {
+        name += `#${element.id}`;
+    } else if (element.classList.length > 0) {
+        name += `.${element.classList[0]}`;
+    }
+
+    const section = element.closest('section[id]');
+
+    return section && section !== element ? `#${section.id} ${name}` : name;
+}
+
+/**
+ * Resource URL without query string (image CDNs put sizes and tokens there)
+ * @param {string} url - Resource URL
+ * @returns {string|null} Host and path
+ */
+function describeUrl(url) {
+    if (!url) return null;
+
+    try {
+        const parsed = new URL(url, window.location.href);
+        return parsed.origin === window.location.origin ? parsed.pathname : parsed.host + parsed.pathname;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Check if the page runs on the developer's machine
+ * @returns {boolean} True on localhost
+ */
+function isDevelopment() {
+    return window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+}
+
+/**
+ * Send the metrics once, when the page is hidden for the first time
+ * Configured with <meta name="performance-endpoint" content="/api/vitals" data-sample-rate="0.1">
+ * @param {AbortSignal} signal - Removes the listeners on teardown
+ */
+function initReporting(signal) {
+    const meta = document.querySelector('meta[name="performance-endpoint"]');
+
+    if (!meta || !meta.content) return;
+
+    const rate = parseFloat(meta.dataset.sampleRate);
+    const sampleRate = Number.isNaN(rate) ? DEFAULT_SAMPLE_RATE : rate;
+
+    // Decided once per page view, so a sampled visit sends all its metrics
+    if (Math.random() >= sampleRate) return;
+
+    const sink = createBeaconSink(meta.content);
+
+    const report = () => {
+        // Same consent as analytics; no identifiers are sent, only the page path
+        if (reported || !hasConsent('analytics')) return;
+
+        const values = Object.values(metrics);
+        if (values.length === 0) return;
+
+        reported = true;
+
+        const [navigation] = performance.getEntriesByType('navigation');
+
+        sink.send(values.map(metric => ({
+            name: metric.name,
+            value: metric.name === 'CLS' ? Number(metric.value.toFixed(4)) : Math.round(metric.value),
+            rating: metric.rating,
+            attribution: metric.attribution,
+            path: window.location.pathname,
+            navigationType: navigation ? navigation.type : null
+        })));
+    };
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            report();
+        }
+    }, { signal });
+    window.addEventListener('pagehide', report, { signal });
+}
+
+/**
+ * Create the on-page metrics overlay
+ */
+function createOverlay() {
+    overlay = document.createElement('aside');
+    overlay.className = 'perf-overlay';
+    overlay.setAttribute('aria-label', 'Web Vitals');
+    overlay.innerHTML = `
+        <div class="perf-overlay__header">
+            <span class="perf-overlay__title">Web Vitals</span>
+            <button type="button" class="perf-overlay__close" data-i18n-attr="aria-label:performance.close">&times;</button>
+        </div>
+        <dl class="perf-overlay__list"></dl>
+    `;
+
+    const closeBtn = overlay.querySelector('.perf-overlay__close');
+    closeBtn.setAttribute('aria-label', t('performance.close'));
+
+    closeBtn.addEventListener('click', () => {
+        overlay.remove();
+        overlay = null;
+    });
+
+    document.body.appendChild(overlay);
+    renderOverlay();
+}
+
+/**
+ * Refresh the overlay with the current metrics
+ */
+function renderOverlay() {
+    if (!overlay) return;
+
+    const list = overlay.querySelector('.perf-overlay__list');
+    list.innerHTML = '';
+
+    Object.keys(THRESHOLDS).forEach(name => {
+        const metric = metrics[name];
+        const term = document.createElement('dt');
+        const value = document.createElement('dd');
+        const detail = document.createElement('dd');
+
+        term.className = 'perf-overlay__name';
+        term.textContent = name;
+
+        value.className = `perf-overlay__value perf-overlay__value--${metric ? metric.rating : 'pending'}`;
+        value.textContent = metric ? formatValue(metric) : '–';
+
+        // Attribution as key: value pairs, e.g. "element: #hero h1 · module: gallery.js"
+        detail.className = 'perf-overlay__detail';
+        detail.textContent = metric ? formatAttribution(metric.attribution) : '';
+
+        list.append(term, value, detail);
+    });
+}
+
+/**
+ * Format a metric value for display
+ * @param {Object} metric - Metric
+ * @returns {string} e.g. '1240 ms' or '0.042'
+ */
+function formatValue(metric) {
+    return metric.name === 'CLS' ? metric.value.toFixed(3) : `${Math.round(metric.value)} ms`;
+}
+
+/**
+ * Format an attribution object for display
+ * @param {Object} attribution - Attribution
+ * @returns {string} Non-empty pairs joined by ' · '
+ */
+function formatAttribution(attribution) {
+    return Object.entries(attribution)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([key, value]) => `${key}: ${value}`)
+        .join(' · ');
+}
\ No newline at end of file
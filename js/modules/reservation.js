@@ -0,0 +1,482 @@
+/**
+ * RESERVATION MODULE - A i' centrale
+ * Table booking form with slot availability, validation and .ics export
+ */
+
+import { formatDate, formatTime, isValidEmail, isValidPhone } from '../utils/helpers.js';
+import { buildCalendar, createIcsUrl } from '../utils/ics.js';
+import { t, onLanguageChange } from './i18n.js';
+import {
+    loadSchedule,
+    getDaySchedule,
+    getZonedParts,
+    zonedTimeToDate,
+    addDays,
+    dateKeyToDate
+} from './opening-hours.js';
+
+const SLOT_INTERVAL = 30;          // Minutes between slots
+const LAST_SEATING_BEFORE = 60;    // No seating in the last hour before closing
+const MIN_LEAD_TIME = 60;          // Minutes of notice needed for same-day bookings
+const BOOKING_WINDOW_DAYS = 60;
+const BOOKING_DURATION = 120;      // Minutes blocked in the calendar file
+const MAX_PARTY_SIZE = 12;
+const LOCATION = "A i' centrale, Terranuova Bracciolini (AR)";
+
+let form = null;
+let schedule = null;
+let icsUrl = null;
+
+/**
+ * Initialize reservation
+ * @param {Object} context - Kernel context ({signal})
+ */
+export function initReservation({ signal } = {}) {
+    console.log('📅 Reservation module initialized');
+
+    form = document.querySelector('.reservation__form');
+
+    if (!form) {
+        return;
+    }
+
+    // Client-side validation replaces the browser bubbles
+    form.setAttribute('novalidate', '');
+
+    loadSchedule()
+        .then(data => {
+            if (signal?.aborted) return;
+
+            schedule = data;
+            setupDateInput();
+            renderSlots();
+        })
+        .catch(err => {
+            console.warn('Reservation slots not available:', err);
+            showSlotsMessage(t('reservation.slots.unavailable'));
+        });
+
+    form.elements.date.addEventListener('change', () => {
+        clearFieldError('date');
+        renderSlots();
+    }, { signal });
+
+    form.addEventListener('input', (e) => {
+        if (e.target.name) {
+            clearFieldError(e.target.name);
+        }
+    }, { signal });
+
+    form.addEventListener('submit', handleSubmit, { signal });
+
+    onLanguageChange(() => {
+        if (schedule) renderSlots();
+    }, { signal });
+
+    const newBookingBtn = document.querySelector('.reservation__new');
+    if (newBookingBtn) {
+        newBookingBtn.addEventListener('click', resetReservation, { signal });
+    }
+}
+
+/**
+ * Release the calendar link of the last booking
+ */
+export function destroyReservation() {
+    if (icsUrl) {
+        URL.revokeObjectURL(icsUrl);
+        icsUrl = null;
+    }
+}
+
+/**
+ * Restrict the date picker to the booking window
+ */
+function setupDateInput() {
+    const input = form.elements.date;
+    const { first, last } = getBookingWindow(schedule);
+
+    input.min = first;
+    input.max = last;
+
+    if (!input.value) {
+        input.value = first;
+    }
+}
+
+/**
+ * First and last bookable date
+ * @param {Object} scheduleData - Opening-hours schedule
+ * @param {Date} now - Current instant (default: now)
+ * @returns {{first: string, last: string}} Date keys ('YYYY-MM-DD')
+ */
+export function getBookingWindow(scheduleData, now = new Date()) {
+    const { dateKey } = getZonedParts(now, scheduleData.timeZone);
+
+    return { first: dateKey, last: addDays(dateKey, BOOKING_WINDOW_DAYS) };
+}
+
+/**
+ * Generate bookable time slots for a date
+ * Slots run every 30 minutes from opening until one hour before closing.
+ * Past slots and slots within the lead time are skipped for today.
+ * @param {Object} scheduleData - Opening-hours schedule
+ * @param {string} dateKey - Date key ('YYYY-MM-DD')
+ * @param {Date} now - Current instant (default: now)
+ * @returns {Array<{value: string, minutes: number}>} Slots ('HH:MM' values)
+ */
+export function getAvailableSlots(scheduleData, dateKey, now = new Date()) {
+    const today = getZonedParts(now, scheduleData.timeZone);
+    const { last } = getBookingWindow(scheduleData, now);
+
+    if (dateKey < today.dateKey || dateKey > last) {
+        return [];
+    }
+
+    const earliest = dateKey === today.dateKey ? today.minutes + MIN_LEAD_TIME : 0;
+    const slots = [];
+
+    getDaySchedule(scheduleData, dateKey).intervals.forEach(({ start, end }) => {
+        // Slots after midnight belong to the next calendar day
+        const lastSlot = Math.min(end - LAST_SEATING_BEFORE, 1440 - SLOT_INTERVAL);
+
+        for (let minutes = start; minutes <= lastSlot; minutes += SLOT_INTERVAL) {
+            if (minutes >= earliest) {
+                slots.push({ value: minutesToValue(minutes), minutes });
+            }
+        }
+    });
+
+    return slots;
+}
+
+/**
+ * Convert minutes after midnight to an 'HH:MM' value
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Time value
+ */
+function minutesToValue(minutes) {
+    const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+    return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Render the slot picker for the selected date
+ */
+function renderSlots() {
+    const container = form.querySelector('.reservation__slots');
+    const dateKey = form.elements.date.value;
+
+    if (!container || !schedule) return;
+
+    // Keep the selection when the slots are rebuilt (e.g. language change)
+    const selected = form.elements.time ? form.elements.time.value : '';
+
+    container.innerHTML = '';
+
+    if (!dateKey) {
+        showSlotsMessage(t('reservation.slots.pickDate'));
+        return;
+    }
+
+    const day = getDaySchedule(schedule, dateKey);
+
+    if (day.intervals.length === 0) {
+        const reason = day.label ? ` (${day.label})` : '';
+        showSlotsMessage(t('reservation.slots.closed', { date: formatDate(dateKeyToDate(dateKey)), reason }));
+        return;
+    }
+
+    const slots = getAvailableSlots(schedule, dateKey);
+
+    if (slots.length === 0) {
+        showSlotsMessage(t('reservation.slots.none'));
+        return;
+    }
+
+    slots.forEach(slot => {
+        const label = document.createElement('label');
+        label.className = 'reservation__slot';
+        label.innerHTML = `
+            <input type="radio" name="time" class="reservation__slot-input">
+            <span class="reservation__slot-label"></span>
+        `;
+
+        label.querySelector('input').value = slot.value;
+        label.querySelector('input').checked = slot.value === selected;
+        label.querySelector('span').textContent = formatTime(dateKeyToDate(dateKey, slot.minutes));
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Show a message in place of the slot picker
+ * @param {string} message - Message text
+ */
+function showSlotsMessage(message) {
+    const container = form.querySelector('.reservation__slots');
+    if (!container) return;
+
+    const note = document.createElement('p');
+    note.className = 'reservation__slots-message';
+    note.textContent = message;
+
+    container.innerHTML = '';
+    container.appendChild(note);
+}
+
+/**
+ * Validate reservation data
+ * @param {Object} data - Form values
+ * @param {Object} scheduleData - Opening-hours schedule
+ * @returns {Object} Error messages keyed by field name (empty when valid)
+ */
+export function validateReservation(data, scheduleData) {
+    const errors = {};
+    const partySize = parseInt(data.partySize, 10);
+
+    if (!data.name || data.name.trim().length < 2) {
+        errors.name = t('reservation.errors.name');
+    }
+
+    if (!isValidEmail(data.email || '')) {
+        errors.email = t('reservation.errors.email');
+    }
+
+    if (!isValidPhone((data.phone || '').trim())) {
+        errors.phone = t('reservation.errors.phone');
+    }
+
+    if (!partySize || partySize < 1 || partySize > MAX_PARTY_SIZE) {
+        errors.partySize = t('reservation.errors.partySize', { max: MAX_PARTY_SIZE });
+    }
+
+    if (!data.date) {
+        errors.date = t('reservation.errors.date');
+    } else if (data.date > getBookingWindow(scheduleData).last) {
+        // Typed by hand or prefilled: the picker's max does not stop either
+        errors.date = t('reservation.errors.window', { days: BOOKING_WINDOW_DAYS });
+    } else if (getDaySchedule(scheduleData, data.date).intervals.length === 0) {
+        errors.date = t('reservation.errors.closed');
+    }
+
+    if (!errors.date) {
+        const slots = getAvailableSlots(scheduleData, data.date).map(slot => slot.value);
+
+        if (!slots.includes(data.time)) {
+            errors.time = t('reservation.errors.time');
+        }
+    }
+
+    if (!data.privacy) {
+        errors.privacy = t('reservation.errors.privacy');
+    }
+
+    return errors;
+}
+
+/**
+ * Collect form values
+ * @returns {Object} Reservation data
+ */
+function getFormData() {
+    const elements = form.elements;
+
+    return {
+        name: elements.name.value.trim(),
+        email: elements.email.value.trim(),
+        phone: elements.phone.value.trim(),
+        partySize: elements.partySize.value,
+        date: elements.date.value,
+        time: elements.time ? elements.time.value : '',
+        notes: elements.notes ? elements.notes.value.trim() : '',
+        privacy: elements.privacy ? elements.privacy.checked : false
+    };
+}
+
+/**
+ * Show an inline error for a field
+ * @param {string} name - Field name
+ * @param {string} message - Error message
+ */
+function showFieldError(name, message) {
+    const error = form.querySelector(`[data-error-for="${name}"]`);
+    const field = form.elements[name];
+
+    if (error) {
+        error.textContent = message;
+        error.hidden = false;
+    }
+
+    // Radio groups return a RadioNodeList
+    if (field && field.setAttribute) {
+        field.setAttribute('aria-invalid', 'true');
+    }
+}
+
+/**
+ * Clear the inline error of a field
+ * @param {string} name - Field name
+ */
+function clearFieldError(name) {
+    const error = form.querySelector(`[data-error-for="${name}"]`);
+    const field = form.elements[name];
+
+    if (error) {
+        error.textContent = '';
+        error.hidden = true;
+    }
+
+    if (field && field.removeAttribute) {
+        field.removeAttribute('aria-invalid');
+    }
+}
+
+/**
+ * Move focus to a field (first radio for the slot group)
+ * @param {string} name - Field name
+ */
+function focusField(name) {
+    let field = form.elements[name];
+
+    if (field && !field.tagName) {
+        field = field[0];
+    }
+
+    // No slots rendered: the date is what needs changing
+    (field || form.elements.date).focus();
+}
+
+/**
+ * Handle form submit
+ * @param {SubmitEvent} e - Submit event
+ */
+async function handleSubmit(e) {
+    e.preventDefault();
+
+    // Without opening hours no slot can be checked: point to the phone instead
+    if (!schedule) {
+        const status = form.querySelector('.reservation__status');
+        if (status) {
+            status.textContent = t('reservation.slots.unavailable');
+        }
+        return;
+    }
+
+    const data = getFormData();
+    const errors = validateReservation(data, schedule);
+
+    Object.keys(data).forEach(clearFieldError);
+    Object.entries(errors).forEach(([name, message]) => showFieldError(name, message));
+
+    if (Object.keys(errors).length > 0) {
+        focusField(Object.keys(errors)[0]);
+        return;
+    }
+
+    const submitBtn = form.querySelector('[type="submit"]');
+    const status = form.querySelector('.reservation__status');
+
+    submitBtn.disabled = true;
+    form.classList.add('loading');
+    if (status) status.textContent = '';
+
+    try {
+        const response = await fetch(form.action, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({
+                name: data.name,
+                email: data.email,
+                phone: data.phone,
+                partySize: parseInt(data.partySize, 10),
+                date: data.date,
+                time: data.time,
+                notes: data.notes
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const result = await response.json().catch(() => ({}));
+        showConfirmation(data, result);
+    } catch (err) {
+        console.error('Reservation failed:', err);
+        if (status) {
+            status.textContent = t('reservation.errors.submit');
+        }
+    } finally {
+        submitBtn.disabled = false;
+        form.classList.remove('loading');
+    }
+}
+
+/**
+ * Show the booking confirmation with the calendar download
+ * @param {Object} data - Reservation data
+ * @param {Object} result - Server response
+ */
+function showConfirmation(data, result) {
+    const confirmation = document.querySelector('.reservation__confirmation');
+    if (!confirmation) return;
+
+    const [hours, minutes] = data.time.split(':').map(Number);
+    const slotMinutes = hours * 60 + minutes;
+    const start = zonedTimeToDate(data.date, slotMinutes, schedule.timeZone);
+    const end = new Date(start.getTime() + BOOKING_DURATION * 60000);
+    const people = t('reservation.people', { count: parseInt(data.partySize, 10) });
+
+    const summary = confirmation.querySelector('.reservation__summary');
+    if (summary) {
+        summary.textContent = t('reservation.confirmation.summary', {
+            people,
+            date: formatDate(dateKeyToDate(data.date)),
+            time: formatTime(dateKeyToDate(data.date, slotMinutes)),
+            email: data.email
+        });
+    }
+
+    const calendar = buildCalendar([{
+        uid: `${result.id || Date.now()}@aicentrale.it`,
+        start,
+        end,
+        title: t('reservation.confirmation.eventTitle', { people }),
+        description: data.notes,
+        location: LOCATION
+    }]);
+
+    if (icsUrl) {
+        URL.revokeObjectURL(icsUrl);
+    }
+    icsUrl = createIcsUrl(calendar);
+
+    const icsLink = confirmation.querySelector('.reservation__ics');
+    if (icsLink) {
+        icsLink.href = icsUrl;
+        icsLink.download = `prenotazione-${data.date}.ics`;
+    }
+
+    form.hidden = true;
+    confirmation.hidden = false;
+    confirmation.focus();
+}
+
+/**
+ * Go back to an empty form for a new booking
+ */
+function resetReservation() {
+    const confirmation = document.querySelector('.reservation__confirmation');
+
+    form.reset();
+    setupDateInput();
+    renderSlots();
+
+    if (confirmation) confirmation.hidden = true;
+    form.hidden = false;
+    form.elements.name.focus();
+}
\ No newline at end of file
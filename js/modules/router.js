@@ -0,0 +1,322 @@
+/**
+ * ROUTER MODULE - A i' centrale
+ * Hash routes for the secondary pages (#/menu, #/privacy...): templates are
+ * fetched on demand and take the place of the home sections. Section anchors
+ * (#about) keep working as before.
+ */
+
+import { restartModule } from '../core/kernel.js';
+import { store } from '../core/store.js';
+import { onScroll } from '../core/scroll.js';
+import { debounce } from '../utils/helpers.js';
+import { translatePage, translateMeta } from './i18n.js';
+
+// modules: started again on the page content (they look up their elements once)
+const ROUTES = {
+    '/menu': {
+        template: 'pages/menu.html',
+        title: 'pages.menu.title',
+        description: 'pages.menu.description',
+        modules: ['menu']
+    },
+    '/events': {
+        template: 'pages/events.html',
+        title: 'pages.events.title',
+        description: 'pages.events.description',
+        modules: ['events']
+    },
+    '/privacy': {
+        template: 'pages/privacy.html',
+        title: 'pages.privacy.title',
+        description: 'pages.privacy.description',
+        modules: []
+    },
+    '/private-events': {
+        template: 'pages/private-events.html',
+        title: 'pages.privateEvents.title',
+        description: 'pages.privateEvents.description',
+        modules: []
+    }
+};
+
+// Shown in place of a page whose template could not be loaded
+const ERROR_ROUTE = {
+    title: 'pages.error.title',
+    description: 'pages.error.description',
+    modules: []
+};
+
+const ERROR_TEMPLATE = `
+    <section class="page__section">
+        <div class="container container--narrow">
+            <header class="page__header">
+                <a href="#" class="page__back" data-i18n="pages.back"></a>
+                <h1 class="section__title" tabindex="-1">
+                    <span class="title__script" data-i18n="pages.error.titleScript"></span>
+                    <span class="title__bold" data-i18n="pages.error.titleBold"></span>
+                </h1>
+                <p class="section__subtitle" data-i18n="pages.error.intro"></p>
+            </header>
+            <div class="page__actions">
+                <button class="btn btn--primary" type="button" data-route-retry data-i18n="pages.error.retry"></button>
+            </div>
+        </div>
+    </section>
+`;
+
+// The scroll spy follows whatever sections are on screen
+const SHARED_MODULES = ['navigation'];
+
+// Position saved in history.state this long after scrolling stops
+const SAVE_DELAY = 150;   // ms
+
+const templates = new Map();
+let home = null;
+let view = null;
+let currentHash = null;     // Rendered
+let pendingHash = null;     // Template loading
+let navigationId = 0;
+
+/**
+ * Initialize the router
+ * @param {Object} context - Kernel context ({signal})
+ */
+export function initRouter({ signal } = {}) {
+    console.log('🗺️ Router module initialized');
+
+    home = document.querySelector('[data-route-home]');
+
+    if (!home) return;
+
+    if (!view) {
+        view = document.createElement('main');
+        view.className = 'page';
+        view.id = 'page';
+    }
+
+    // Back/Forward put the page back where it was, not where the browser guesses
+    if ('scrollRestoration' in history) {
+        history.scrollRestoration = 'manual';
+    }
+
+    onScroll(debounce(saveScroll, SAVE_DELAY), { signal });
+
+    // Leaving through a link: save now, the debounce may not have run
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('a[href^="#"]')) {
+            saveScroll();
+        }
+    }, { signal, capture: true });
+
+    // Fragment navigations fire both events: whichever comes first renders
+    window.addEventListener('popstate', handlePopState, { signal });
+    window.addEventListener('hashchange', () => navigate(), { signal });
+
+    // A page that failed to load: try again on request, or once back online
+    view.addEventListener('click', (e) => {
+        if (e.target.closest('[data-route-retry]')) {
+            navigate();
+        }
+    }, { signal });
+    window.addEventListener('online', () => navigate(), { signal });
+
+    // First start: a reload keeps the position saved in the entry.
+    // A restart finds the hash already rendered and does nothing.
+    navigate(savedScroll(history.state));
+}
+
+/**
+ * Scroll position saved in a history entry
+ * @param {*} state - history.state
+ * @returns {number|null} Position, null if none was saved
+ */
+function savedScroll(state) {
+    return state && typeof state.scrollY === 'number' ? state.scrollY : null;
+}
+
+/**
+ * Back/Forward
+ * Entries with the same hash (smooth scroll, menu filters) only get their
+ * position back: there is nothing to render.
+ * @param {PopStateEvent} e - History event
+ */
+function handlePopState(e) {
+    const scrollY = savedScroll(e.state);
+
+    if (window.location.hash !== currentHash) {
+        navigate(scrollY);
+    } else if (scrollY !== null) {
+        window.scrollTo(0, scrollY);
+    }
+}
+
+/**
+ * Show the view for the current hash
+ * @param {number|null} scrollY - Position to restore (Back/Forward)
+ */
+async function navigate(scrollY = null) {
+    const hash = window.location.hash;
+
+    if (hash === currentHash || hash === pendingHash) return;
+
+    const id = ++navigationId;
+    const path = hash.startsWith('#/') ? hash.slice(1) : null;
+    const route = path ? ROUTES[path] : null;
+
+    if (path && !route) {
+        console.warn(`Unknown route "${path}", showing the home`);
+    }
+
+    if (!route) {
+        pendingHash = null;
+        currentHash = hash;
+        showHome();
+        restoreScroll(scrollY, hash);
+        return;
+    }
+
+    pendingHash = hash;
+
+    let html;
+
+    try {
+        html = await loadTemplate(route.template);
+    } catch (err) {
+        if (id !== navigationId) return;
+
+        // Nothing rendered for this hash: Retry, going back online or
+        // coming back to it loads it again
+        console.warn(`Page "${path}" not available:`, err);
+        pendingHash = null;
+        currentHash = null;
+        showRoute(path, ERROR_ROUTE, ERROR_TEMPLATE);
+        restoreScroll(null, null);
+        return;
+    }
+
+    // A newer navigation started while the template was loading
+    if (id !== navigationId) return;
+
+    pendingHash = null;
+    currentHash = hash;
+    showRoute(path, route, html);
+    restoreScroll(scrollY, null);
+}
+
+/**
+ * Fetch a template (once)
+ * @param {string} url - Template URL
+ * @returns {Promise<string>} Template HTML
+ */
+async function loadTemplate(url) {
+    if (!templates.has(url)) {
+        const request = fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.text();
+        });
+
+        // A failed request can be tried again on the next visit
+        request.catch(() => templates.delete(url));
+        templates.set(url, request);
+    }
+
+    return templates.get(url);
+}
+
+/**
+ * Swap the home sections (or the previous page) for a route's template
+ * @param {string} path - Route path, e.g. '/menu'
+ * @param {Object} route - Route definition
+ * @param {string} html - Template HTML
+ */
+function showRoute(path, route, html) {
+    const previous = store.get('route');
+
+    view.innerHTML = html;
+
+    if (home.isConnected) {
+        home.replaceWith(view);
+    }
+
+    document.documentElement.dataset.i18nTitle = route.title;
+    document.documentElement.dataset.i18nDescription = route.description;
+    translatePage(view);
+    translateMeta();
+
+    store.set('route', path);
+    restartModules(previous, route.modules);
+}
+
+/**
+ * Put the home sections back
+ */
+function showHome() {
+    const previous = store.get('route');
+
+    if (!previous) return;
+
+    view.replaceWith(home);
+    view.replaceChildren();
+
+    delete document.documentElement.dataset.i18nTitle;
+    delete document.documentElement.dataset.i18nDescription;
+    translateMeta();
+
+    store.set('route', null);
+    restartModules(previous, []);
+}
+
+/**
+ * Start the modules of the old and new view again on the content now on screen
+ * @param {string|null} from - Previous route path (null: home)
+ * @param {Array<string>} modules - Modules of the new view
+ */
+function restartModules(from, modules) {
+    const names = new Set([
+        ...(from ? ROUTES[from].modules : []),
+        ...modules,
+        ...SHARED_MODULES
+    ]);
+
+    names.forEach(name => restartModule(name));
+}
+
+/**
+ * Scroll after a navigation
+ * Saved position on Back/Forward, else the section of the hash, else the top.
+ * @param {number|null} scrollY - Saved position
+ * @param {string|null} hash - Section anchor (home only)
+ */
+function restoreScroll(scrollY, hash) {
+    if (scrollY !== null) {
+        window.scrollTo(0, scrollY);
+        return;
+    }
+
+    const section = hash && hash.length > 1 ? document.getElementById(hash.slice(1)) : null;
+
+    if (section) {
+        const header = document.querySelector('.header');
+        const headerHeight = header ? header.offsetHeight : 0;
+        window.scrollTo(0, section.getBoundingClientRect().top + window.scrollY - headerHeight);
+        return;
+    }
+
+    window.scrollTo(0, 0);
+
+    // New page: start reading (and tabbing) from its title
+    const title = view.isConnected ? view.querySelector('h1') : null;
+
+    if (title) {
+        title.focus({ preventScroll: true });
+    }
+}
+
+/**
+ * Remember the scroll position in the current history entry
+ */
+function saveScroll() {
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+}
\ No newline at end of file
@@ -1,20 +1,51 @@
 /**
  * SCROLL ANIMATIONS MODULE - A i' centrale
  * Handles reveal animations on scroll using Intersection Observer
+ *
+ * Elements opt in with data attributes, no JS change needed for new components:
+ *   data-animate="slide-left"    animation (fade-up, fade, slide-left, slide-right, scale-in)
+ *   data-animate-delay="200"     extra delay in ms
+ *   data-animate-stagger="100"   on a parent: children revealed together are delayed one after the other
+ *   data-animate-once="false"    replay every time the element scrolls back into view
  */
 
+import { store } from '../core/store.js';
+
+const SELECTOR = '[data-animate]';
+
+// Set on <html> while the module runs: CSS only hides elements when it's there
+const READY_CLASS = 'animate-ready';
+
 let observer = null;
+let mutationObserver = null;
 
 /**
  * Initialize scroll animations
+ * Nodes inserted later (gallery, menu...) are picked up automatically
+ * @param {Object} context - Kernel context ({signal})
  */
-export function initScrollAnimations() {
+export function initScrollAnimations({ signal } = {}) {
     console.log('🎬 Scroll animations module initialized');
     
-    // Check for reduced motion preference
-    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    // Listen for reduced motion preference changes
+    // (shared through the store: scroll effects follow the same preference)
+    const mediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    store.set('reducedMotion', mediaQuery.matches);
+    
+    mediaQuery.addEventListener('change', (e) => {
+        store.set('reducedMotion', e.matches);
+        
+        if (e.matches) {
+            console.log('Reduced motion enabled - disabling animations');
+            disconnectObserver();
+            makeAllVisible();
+        } else {
+            console.log('Reduced motion disabled - enabling animations');
+            reconnectObserver();
+        }
+    }, { signal });
     
-    if (prefersReducedMotion) {
+    if (mediaQuery.matches) {
         console.log('Reduced motion preference detected - skipping animations');
         makeAllVisible();
         return;
@@ -23,12 +54,12 @@ export function initScrollAnimations() {
     // Initialize Intersection Observer
     createObserver();
     
-    // Observe all elements with animation classes
+    // Observe all elements with a data-animate attribute
     observeElements();
 }
 
 /**
- * Create Intersection Observer
+ * Create the Intersection Observer and the Mutation Observer for new nodes
  */
 function createObserver() {
     const options = {
@@ -38,116 +69,165 @@ function createObserver() {
     };
     
     const callback = (entries) => {
+        const revealed = [];
+    
         entries.forEach(entry => {
+            const element = entry.target;
+    
             if (entry.isIntersecting) {
-                // Add visible class
-                entry.target.classList.add('is-visible');
-                
-                // Unobserve after animation (optional - remove if you want re-animation on scroll up)
-                observer.unobserve(entry.target);
+                revealed.push(element);
+    
+                // Reveal once unless the element asks to replay
+                if (!replays(element)) {
+                    observer.unobserve(element);
+                }
+            } else if (replays(element)) {
+                resetAnimation(element);
             }
         });
+    
+        applyDelays(revealed);
+        revealed.forEach(triggerAnimation);
     };
     
     observer = new IntersectionObserver(callback, options);
     
-    // Store observer globally for cleanup
-    window.scrollAnimationObserver = observer;
+    mutationObserver = new MutationObserver(handleMutations);
+    mutationObserver.observe(document.body, { childList: true, subtree: true });
+    
+    document.documentElement.classList.add(READY_CLASS);
+}
+
+/**
+ * Observe the animated elements inside a node
+ * Already revealed elements stay as they are (unless they replay)
+ * @param {Element|Document} root - Where to look (default: whole document)
+ */
+function observeElements(root = document) {
+    if (!observer) return;
+    
+    const elements = findAnimated(root).filter(element => {
+        return !element.classList.contains('is-visible') || replays(element);
+    });
+    
+    elements.forEach(element => observer.observe(element));
+    
+    if (root === document) {
+        console.log(`Observing ${elements.length} elements for scroll animations`);
+    }
+}
+
+/**
+ * Observe added nodes, forget removed ones
+ * @param {MutationRecord[]} mutations - Child list changes
+ */
+function handleMutations(mutations) {
+    mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                observeElements(node);
+            }
+        });
+    
+        mutation.removedNodes.forEach(node => {
+            if (observer && node.nodeType === Node.ELEMENT_NODE) {
+                findAnimated(node).forEach(element => observer.unobserve(element));
+            }
+        });
+    });
+}
+
+/**
+ * Find the animated elements in a node, the node itself included
+ * @param {Element|Document} root - Node to search
+ * @returns {HTMLElement[]} Elements with data-animate
+ */
+function findAnimated(root) {
+    const elements = [...root.querySelectorAll(SELECTOR)];
+    
+    if (root.matches && root.matches(SELECTOR)) {
+        elements.unshift(root);
+    }
+    
+    return elements;
+}
+
+/**
+ * Check if an element replays its animation
+ * @param {HTMLElement} element - Animated element
+ * @returns {boolean} True with data-animate-once="false"
+ */
+function replays(element) {
+    return element.dataset.animateOnce === 'false';
 }
 
 /**
- * Observe elements with animation classes
- */
-function observeElements() {
-    // Default scroll reveal elements
-    const scrollRevealElements = document.querySelectorAll('.scroll-reveal');
-    
-    // Fade in elements
-    const fadeInElements = document.querySelectorAll('.fade-in');
-    
-    // Slide animations
-    const slideLeftElements = document.querySelectorAll('.slide-left');
-    const slideRightElements = document.querySelectorAll('.slide-right');
-    
-    // Scale animations
-    const scaleInElements = document.querySelectorAll('.scale-in');
-    
-    // Component-specific elements
-    const aboutContent = document.querySelectorAll('.about__content, .about__image');
-    const features = document.querySelectorAll('.feature');
-    const menuCards = document.querySelectorAll('.menu__card');
-    const galleryItems = document.querySelectorAll('.gallery__item');
-    const ctaContent = document.querySelectorAll('.cta__content');
-    
-    // Combine all elements
-    const allElements = [
-        ...scrollRevealElements,
-        ...fadeInElements,
-        ...slideLeftElements,
-        ...slideRightElements,
-        ...scaleInElements,
-        ...aboutContent,
-        ...features,
-        ...menuCards,
-        ...galleryItems,
-        ...ctaContent
-    ];
-    
-    // Observe each element
-    allElements.forEach(element => {
-        if (observer) {
-            observer.observe(element);
+ * Set the delays of the elements revealed together
+ * Siblings under the same data-animate-stagger parent are staggered in
+ * document order, the others only get their own data-animate-delay.
+ * @param {HTMLElement[]} elements - Elements about to be revealed
+ */
+function applyDelays(elements) {
+    const groups = new Map();
+    
+    elements.forEach(element => {
+        const parent = element.parentElement && element.parentElement.closest('[data-animate-stagger]');
+    
+        if (!parent) {
+            addStaggerDelay([element], 0);
+            return;
         }
+    
+        if (!groups.has(parent)) {
+            groups.set(parent, []);
+        }
+        groups.get(parent).push(element);
     });
     
-    console.log(`Observing ${allElements.length} elements for scroll animations`);
+    groups.forEach((group, parent) => {
+        addStaggerDelay(group, parseInt(parent.dataset.animateStagger, 10) || 0);
+    });
 }
 
 /**
- * Make all animated elements visible immediately
+ * Show every animated element without animating
  * Used when user prefers reduced motion
  */
 function makeAllVisible() {
-    const animatedElements = document.querySelectorAll(`
-        .scroll-reveal,
-        .fade-in,
-        .slide-left,
-        .slide-right,
-        .scale-in,
-        .about__content,
-        .about__image,
-        .feature,
-        .menu__card,
-        .gallery__item,
-        .cta__content
-    `);
-    
-    animatedElements.forEach(element => {
-        element.classList.add('is-visible');
-        element.style.opacity = '1';
-        element.style.transform = 'none';
-    });
+    document.documentElement.classList.remove(READY_CLASS);
 }
 
 /**
- * Disconnect observer
+ * Disconnect observers
  * Useful for cleanup or re-initialization
  */
 export function disconnectObserver() {
+    if (mutationObserver) {
+        mutationObserver.disconnect();
+        mutationObserver = null;
+    }
+    
     if (observer) {
         observer.disconnect();
+        observer = null;
         console.log('Scroll animations observer disconnected');
     }
 }
 
+/**
+ * Stop observing and show what was not revealed yet (kernel teardown)
+ */
+export function destroyScrollAnimations() {
+    disconnectObserver();
+    makeAllVisible();
+}
+
 /**
  * Reconnect observer
  * Re-observe all elements
  */
 export function reconnectObserver() {
-    if (observer) {
-        observer.disconnect();
-    }
+    disconnectObserver();
     createObserver();
     observeElements();
     console.log('Scroll animations observer reconnected');
@@ -191,30 +271,17 @@ export function resetAnimation(element) {
 
 /**
  * Add stagger delay to elements
- * @param {NodeList} elements - Elements to stagger
- * @param {number} delay - Base delay in ms
+ * Each element's own data-animate-delay is added on top.
+ * @param {NodeList|HTMLElement[]} elements - Elements to stagger
+ * @param {number} delay - Delay between two elements in ms
  */
 export function addStaggerDelay(elements, delay = 100) {
     elements.forEach((element, index) => {
-        element.style.transitionDelay = `${index * delay}ms`;
+        const own = parseInt(element.dataset.animateDelay, 10) || 0;
+        element.style.setProperty('--animate-delay', `${own + index * delay}ms`);
     });
 }
 
-/**
- * Listen for reduced motion preference changes
- */
-const mediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
-mediaQuery.addEventListener('change', (e) => {
-    if (e.matches) {
-        console.log('Reduced motion enabled - disabling animations');
-        disconnectObserver();
-        makeAllVisible();
-    } else {
-        console.log('Reduced motion disabled - enabling animations');
-        initScrollAnimations();
-    }
-});
-
 /**
  * Export functions
  */
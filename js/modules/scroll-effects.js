@@ -0,0 +1,263 @@
+/**
+ * SCROLL EFFECTS MODULE - A i' centrale
+ * Scroll-linked parallax, scale and fade declared with data attributes.
+ * CSS scroll-driven animations do the work where supported, a rAF loop otherwise.
+ *
+ *   data-scroll-effect="exit"         range, as CSS animation-range: cover (default),
+ *                                     contain, entry, exit, or e.g. "exit 0% exit 60%"
+ *   data-scroll-speed="0.4"           parallax: moves down 40% of its height over the range
+ *   data-scroll-y="0% 40%"            translateY from/to (same unit for both)
+ *   data-scroll-scale="1 0.8"         scale from/to
+ *   data-scroll-opacity="1 0"         opacity from/to
+ *   data-scroll-scene                 on an ancestor: the range is measured on it
+ *                                     instead of on the element itself
+ *
+ * The effect owns the element's transform and opacity: wrap elements that
+ * have their own. Off entirely with reduced motion.
+ */
+
+import { store } from '../core/store.js';
+import { onScroll, getScrollState } from '../core/scroll.js';
+
+const SELECTOR = '[data-scroll-effect]';
+const SCENE_SELECTOR = '[data-scroll-scene]';
+
+// Set on <html> while effects run: the CSS animations only apply with it
+const ACTIVE_CLASS = 'scroll-effects';
+
+const RANGE_NAMES = ['cover', 'contain', 'entry', 'exit'];
+
+let effects = [];
+let controller = null;
+
+/**
+ * Initialize scroll effects
+ * Must run after scroll animations, which keeps the reduced motion preference in the store
+ * @param {Object} context - Kernel context ({signal})
+ */
+export function initScrollEffects({ signal } = {}) {
+    console.log('🌄 Scroll effects module initialized');
+
+    store.subscribe('reducedMotion', (reduced) => {
+        if (reduced) {
+            stop();
+        } else {
+            start();
+        }
+    }, { signal });
+
+    if (!store.get('reducedMotion')) {
+        start();
+    }
+}
+
+/**
+ * Remove the effects and their inline styles
+ */
+export function destroyScrollEffects() {
+    stop();
+}
+
+/**
+ * Read the elements and start the effects
+ */
+function start() {
+    stop();
+
+    effects = [...document.querySelectorAll(SELECTOR)].map(createEffect);
+
+    if (effects.length === 0) return;
+
+    document.documentElement.classList.add(ACTIVE_CLASS);
+
+    if (supportsScrollTimeline()) {
+        console.log(`Scroll effects: ${effects.length} elements on CSS scroll timelines`);
+        return;
+    }
+
+    console.log(`Scroll effects: ${effects.length} elements on the rAF fallback`);
+    controller = new AbortController();
+
+    // Positions are cached: measure again whenever the layout changes size
+    const resizeObserver = new ResizeObserver(() => {
+        measureEffects();
+        render(getScrollState());
+    });
+    resizeObserver.observe(document.body);
+    controller.signal.addEventListener('abort', () => resizeObserver.disconnect());
+
+    measureEffects();
+    onScroll(render, { signal: controller.signal });
+}
+
+/**
+ * Stop the rAF loop and reset the elements
+ */
+function stop() {
+    if (controller) {
+        controller.abort();
+        controller = null;
+    }
+
+    effects.forEach(({ element }) => {
+        element.style.removeProperty('transform');
+        element.style.removeProperty('opacity');
+    });
+    effects = [];
+
+    document.documentElement.classList.remove(ACTIVE_CLASS);
+}
+
+/**
+ * Check for CSS scroll-driven animations
+ * @returns {boolean} True if view() timelines are supported
+ */
+function supportsScrollTimeline() {
+    return typeof CSS !== 'undefined' && CSS.supports('animation-timeline: view()');
+}
+
+/**
+ * Read an element's attributes
+ * The values are also written as custom properties for the CSS animation.
+ * @param {HTMLElement} element - Element with data-scroll-effect
+ * @returns {Object} Effect ({element, scene, range, y, scale, opacity, top, height})
+ */
+function createEffect(element) {
+    const { scrollEffect, scrollSpeed, scrollY, scrollScale, scrollOpacity } = element.dataset;
+    const speed = parseFloat(scrollSpeed);
+
+    const effect = {
+        element,
+        scene: element.closest(SCENE_SELECTOR) || element,
+        range: parseRange(scrollEffect),
+        y: parsePair(scrollY || (isNaN(speed) ? '0px 0px' : `0% ${speed * 100}%`), 'px'),
+        scale: parsePair(scrollScale || '1 1'),
+        opacity: parsePair(scrollOpacity || '1 1'),
+        top: 0,
+        height: 0
+    };
+
+    const { start: from, end: to } = effect.range;
+    element.style.setProperty('--scroll-range', `${from.name} ${from.percent}% ${to.name} ${to.percent}%`);
+
+    ['y', 'scale', 'opacity'].forEach(property => {
+        const { from: start, to: end, unit } = effect[property];
+        element.style.setProperty(`--scroll-${property}-from`, `${start}${unit}`);
+        element.style.setProperty(`--scroll-${property}-to`, `${end}${unit}`);
+    });
+
+    return effect;
+}
+
+/**
+ * Parse a range: "exit" or "exit 0% exit 60%"
+ * @param {string} value - Attribute value
+ * @returns {Object} {start: {name, percent}, end: {name, percent}}
+ */
+function parseRange(value = '') {
+    const parts = value.trim().split(/\s+/).filter(Boolean);
+    const [name = 'cover'] = parts;
+
+    if (parts.length === 4 && RANGE_NAMES.includes(parts[0]) && RANGE_NAMES.includes(parts[2])) {
+        return {
+            start: { name: parts[0], percent: parseFloat(parts[1]) || 0 },
+            end: { name: parts[2], percent: parseFloat(parts[3]) || 0 }
+        };
+    }
+
+    if (parts.length > 1 || !RANGE_NAMES.includes(name)) {
+        console.warn(`Scroll effects: unknown range "${value}", using "cover"`);
+        return parseRange('cover');
+    }
+
+    return {
+        start: { name, percent: 0 },
+        end: { name, percent: 100 }
+    };
+}
+
+/**
+ * Parse a from/to pair: "1 0.8", "0% 40%" or "0 40px"
+ * The unit is taken from whichever value has one.
+ * @param {string} value - Attribute value
+ * @param {string} defaultUnit - Unit when neither value has one (default: none)
+ * @returns {Object} {from, to, unit}
+ */
+function parsePair(value, defaultUnit = '') {
+    const [from, to = from] = value.trim().split(/\s+/);
+    const unitOf = (token) => token.replace(/^[-+\d.]+/, '');
+    const unit = unitOf(from) || unitOf(to) || defaultUnit;
+
+    return {
+        from: parseFloat(from) || 0,
+        to: parseFloat(to) || 0,
+        unit
+    };
+}
+
+/**
+ * Cache the document position of each scene (fallback only)
+ * Inline transforms are cleared first so elements measured on themselves
+ * report their layout position.
+ */
+function measureEffects() {
+    effects.forEach(({ element }) => element.style.removeProperty('transform'));
+
+    const y = window.scrollY;
+
+    effects.forEach(effect => {
+        const rect = effect.scene.getBoundingClientRect();
+        effect.top = rect.top + y;
+        effect.height = rect.height;
+    });
+}
+
+/**
+ * Where a range point is, as the scene's top relative to the viewport
+ * Mirrors the CSS view() ranges.
+ * @param {Object} point - {name, percent}
+ * @param {number} height - Scene height
+ * @param {number} viewportHeight - Viewport height
+ * @returns {number} Scene top in px
+ */
+function rangeTop({ name, percent }, height, viewportHeight) {
+    const rest = viewportHeight - height;
+    const edges = {
+        cover: [viewportHeight, -height],
+        contain: [Math.max(rest, 0), Math.min(rest, 0)],
+        entry: [viewportHeight, Math.max(rest, 0)],
+        exit: [Math.min(rest, 0), -height]
+    };
+    const [start, end] = edges[name];
+
+    return start + (end - start) * percent / 100;
+}
+
+/**
+ * Apply the effects for the current scroll position (fallback only)
+ * @param {Object} state - Scroll state from the scroll manager
+ */
+function render(state) {
+    effects.forEach(effect => {
+        const { element, range, y, scale, opacity } = effect;
+        const top = effect.top - state.y;
+        const start = rangeTop(range.start, effect.height, state.viewportHeight);
+        const end = rangeTop(range.end, effect.height, state.viewportHeight);
+
+        let progress = start === end ? Number(top <= start) : (start - top) / (start - end);
+        progress = Math.min(Math.max(progress, 0), 1);
+
+        element.style.transform = `translate3d(0, ${interpolate(y, progress)}${y.unit}, 0) scale(${interpolate(scale, progress)})`;
+        element.style.opacity = interpolate(opacity, progress);
+    });
+}
+
+/**
+ * Value between from and to
+ * @param {Object} pair - {from, to}
+ * @param {number} progress - 0 to 1
+ * @returns {number} Interpolated value
+ */
+function interpolate({ from, to }, progress) {
+    return from + (to - from) * progress;
+}
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * SERVICE WORKER MODULE - A i' centrale
+ * Registers the offline worker and offers new versions to the user
+ */
+
+import { t, onLanguageChange } from './i18n.js';
+
+const WORKER_URL = 'sw.js';
+
+let waitingWorker = null;
+let toast = null;
+
+/**
+ * Initialize the service worker
+ * @param {Object} context - Kernel context ({signal})
+ */
+export function initServiceWorker({ signal } = {}) {
+    console.log('📶 Service worker module initialized');
+
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+
+    // A page without a controller is the first visit: no update to announce
+    const hadController = Boolean(navigator.serviceWorker.controller);
+    let reloading = false;
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!hadController || reloading) return;
+        reloading = true;
+        window.location.reload();
+    }, { signal });
+
+    const register = () => {
+        navigator.serviceWorker.register(WORKER_URL)
+            .then(registration => watchRegistration(registration, signal))
+            .catch(err => {
+                console.warn('Service worker registration failed:', err);
+            });
+    };
+
+    // Restarted after the page loaded: 'load' won't fire again
+    if (document.readyState === 'complete') {
+        register();
+    } else {
+        window.addEventListener('load', register, { signal });
+    }
+
+    onLanguageChange(() => {
+        if (toast) renderToast();
+    }, { signal });
+}
+
+/**
+ * Remove the update prompt
+ */
+export function destroyServiceWorker() {
+    if (toast) {
+        toast.remove();
+        toast = null;
+    }
+}
+
+/**
+ * Show the update prompt when a new worker is waiting
+ * @param {ServiceWorkerRegistration} registration - Registration
+ * @param {AbortSignal} signal - Removes the listeners on teardown
+ */
+function watchRegistration(registration, signal) {
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdate(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdate(worker);
+            }
+        }, { signal });
+    }, { signal });
+
+    // Long visits (e.g. the slideshow on the bar TV) check for updates too
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) {
+            registration.update().catch(() => {});
+        }
+    }, { signal });
+}
+
+/**
+ * Show the "new version available" prompt
+ * @param {ServiceWorker} worker - Installed worker waiting to activate
+ */
+function showUpdate(worker) {
+    waitingWorker = worker;
+
+    if (!toast) {
+        toast = document.createElement('div');
+        toast.className = 'update-toast';
+        toast.setAttribute('role', 'status');
+        document.body.appendChild(toast);
+
+        toast.addEventListener('click', (e) => {
+            if (e.target.closest('.update-toast__reload')) {
+                applyUpdate();
+            } else if (e.target.closest('.update-toast__dismiss')) {
+                hideUpdate();
+            }
+        });
+    }
+
+    renderToast();
+    requestAnimationFrame(() => toast.classList.add('update-toast--visible'));
+}
+
+/**
+ * Fill the prompt with translated text
+ */
+function renderToast() {
+    toast.innerHTML = `
+        <p class="update-toast__text">${t('update.available')}</p>
+        <button type="button" class="btn btn--primary update-toast__reload">${t('update.reload')}</button>
+        <button type="button" class="update-toast__dismiss" aria-label="${t('update.dismiss')}">
+            <svg class="icon icon--small" viewBox="0 0 24 24" fill="none" stroke="currentColor" aria-hidden="true">
+                <line x1="18" y1="6" x2="6" y2="18"/>
+                <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+        </button>
+    `;
+}
+
+/**
+ * Activate the waiting worker, the page reloads on controllerchange
+ */
+function applyUpdate() {
+    if (waitingWorker) {
+        waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+}
+
+/**
+ * Hide the prompt (the update applies on the next visit)
+ */
+function hideUpdate() {
+    toast.classList.remove('update-toast--visible');
+}
\ No newline at end of file
@@ -0,0 +1,108 @@
+/**
+ * THEME MODULE - A i' centrale
+ * Dark/light theme: follows the system until the visitor picks one with the toggle
+ */
+
+import { store } from '../core/store.js';
+
+// Also read by the inline script in <head>, which applies the theme before first paint
+const STORAGE_KEY = 'aicentrale-theme';
+
+const THEMES = ['dark', 'light'];
+
+/**
+ * Initialize the theme
+ * @param {Object} context - Kernel context ({signal})
+ */
+export function initTheme({ signal } = {}) {
+    console.log('🌓 Theme module initialized');
+
+    const mediaQuery = window.matchMedia('(prefers-color-scheme: light)');
+
+    store.subscribe('theme', applyTheme, { signal });
+    store.set('theme', readStoredTheme() || systemTheme(mediaQuery));
+    applyTheme(store.get('theme'));
+
+    // The system preference counts only until the visitor chooses
+    mediaQuery.addEventListener('change', () => {
+        if (!readStoredTheme()) {
+            store.set('theme', systemTheme(mediaQuery));
+        }
+    }, { signal });
+
+    // Toggles (header and mobile nav)
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('[data-theme-toggle]')) {
+            toggleTheme();
+        }
+    }, { signal });
+}
+
+/**
+ * Read the stored choice
+ * @returns {string|null} 'dark', 'light' or null when the visitor never chose
+ */
+function readStoredTheme() {
+    let stored = null;
+
+    try {
+        stored = localStorage.getItem(STORAGE_KEY);
+    } catch (err) {
+        // Storage blocked (private mode) - follow the system
+    }
+
+    return THEMES.includes(stored) ? stored : null;
+}
+
+/**
+ * Theme from the system preference
+ * @param {MediaQueryList} mediaQuery - (prefers-color-scheme: light)
+ * @returns {string} 'dark' or 'light'
+ */
+function systemTheme(mediaQuery) {
+    return mediaQuery.matches ? 'light' : 'dark';
+}
+
+/**
+ * Change the theme and persist the choice
+ * @param {string} theme - 'dark' or 'light'
+ */
+export function setTheme(theme) {
+    if (!THEMES.includes(theme)) return;
+
+    try {
+        localStorage.setItem(STORAGE_KEY, theme);
+    } catch (err) {
+        // Choice only lasts for this page view
+    }
+
+    store.set('theme', theme);
+    console.log(`Theme changed: ${theme}`);
+}
+
+/**
+ * Switch between dark and light
+ */
+export function toggleTheme() {
+    setTheme(store.get('theme') === 'light' ? 'dark' : 'light');
+}
+
+/**
+ * Apply a theme: data-theme on <html>, toggle state and browser UI colour
+ * @param {string} theme - 'dark' or 'light'
+ */
+function applyTheme(theme) {
+    const root = document.documentElement;
+    root.dataset.theme = theme;
+
+    document.querySelectorAll('[data-theme-toggle]').forEach(toggle => {
+        toggle.setAttribute('aria-pressed', String(theme === 'dark'));
+    });
+
+    // The colour comes from the --theme-color token of the active theme
+    const meta = document.querySelector('meta[name="theme-color"]');
+
+    if (meta) {
+        meta.content = getComputedStyle(root).getPropertyValue('--theme-color').trim() || meta.content;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,28 @@
+/**
+ * OFFLINE JS - A i' centrale
+ * Entry point of the offline page (served by the service worker)
+ */
+
+import { registerModule, startModules } from './core/kernel.js';
+import { initI18n } from './modules/i18n.js';
+import { initTheme } from './modules/theme.js';
+import { initOpeningHours, destroyOpeningHours } from './modules/opening-hours.js';
+
+/**
+ * Initialize the offline page when DOM is ready
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    registerModule({ name: 'i18n', init: initI18n });
+    registerModule({ name: 'theme', init: initTheme });
+    registerModule({ name: 'opening-hours', deps: ['i18n'], init: initOpeningHours, destroy: destroyOpeningHours });
+    startModules();
+
+    const retry = document.querySelector('.offline__retry');
+
+    if (retry) {
+        retry.addEventListener('click', () => window.location.reload());
+    }
+
+    // Back online: try the real page again
+    window.addEventListener('online', () => window.location.reload());
+});
\ No newline at end of file
@@ -0,0 +1,212 @@
+/**
+ * DIALOG UTILITIES - A i' centrale
+ * Shared manager for modal overlays: focus trap, focus restore,
+ * stacking, Escape and scroll lock
+ */
+
+import { lockScroll, unlockScroll } from './helpers.js';
+
+const FOCUSABLE = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Open dialogs, topmost last
+const stack = [];
+let listening = false;
+
+/**
+ * Open an element as a modal dialog
+ * Everything outside the dialog (and the elements in options.keep) becomes inert.
+ * @param {HTMLElement} element - Dialog element (already visible)
+ * @param {Object} options - Dialog options
+ * @param {HTMLElement} options.trigger - Element to focus on close (default: active element)
+ * @param {HTMLElement} options.initialFocus - Element to focus (default: first focusable)
+ * @param {Array<HTMLElement>} options.keep - Elements outside the dialog that stay usable
+ * @param {Function} options.onDismiss - Called on Escape, should close the dialog
+ */
+export function openDialog(element, options = {}) {
+    if (isDialogOpen(element)) return;
+
+    const entry = {
+        element,
+        trigger: options.trigger || document.activeElement,
+        keep: (options.keep || []).filter(Boolean),
+        onDismiss: options.onDismiss || (() => closeDialog(element)),
+        inerted: [],
+        lifted: []
+    };
+
+    if (stack.length === 0) {
+        lockScroll();
+    }
+
+    // A dialog opened from another one sits in that dialog's inert background
+    for (let node = element; node && node !== document.body; node = node.parentElement) {
+        if (node.inert) {
+            node.inert = false;
+            entry.lifted.push(node);
+        }
+    }
+
+    stack.push(entry);
+    makeBackgroundInert(entry);
+    listen();
+
+    const target = options.initialFocus || getFocusable(entry)[0] || element;
+
+    if (target === element && !element.hasAttribute('tabindex')) {
+        element.setAttribute('tabindex', '-1');
+    }
+
+    target.focus({ preventScroll: true });
+}
+
+/**
+ * Close a dialog opened with openDialog
+ * @param {HTMLElement} element - Dialog element
+ * @param {Object} options - Close options
+ * @param {boolean} options.restoreFocus - Focus the trigger again (default: true)
+ */
+export function closeDialog(element, { restoreFocus = true } = {}) {
+    const index = stack.findIndex(entry => entry.element === element);
+    if (index === -1) return;
+
+    const [entry] = stack.splice(index, 1);
+
+    entry.inerted.forEach(node => {
+        node.inert = false;
+    });
+
+    // Give back to the dialogs below what this one took out of their background
+    entry.lifted.forEach(node => {
+        node.inert = stack.some(other => other.inerted.includes(node));
+    });
+
+    if (stack.length === 0) {
+        unlockScroll();
+    }
+
+    // Triggers can disappear meanwhile (e.g. re-rendered gallery items)
+    if (restoreFocus && entry.trigger && entry.trigger.isConnected && entry.trigger.focus) {
+        entry.trigger.focus({ preventScroll: true });
+    }
+}
+
+/**
+ * Check if an element is an open dialog
+ * @param {HTMLElement} element - Dialog element
+ * @returns {boolean} True if open
+ */
+export function isDialogOpen(element) {
+    return stack.some(entry => entry.element === element);
+}
+
+/**
+ * Check if any dialog is open
+ * @returns {boolean} True while a dialog holds the page
+ */
+export function hasOpenDialog() {
+    return stack.length > 0;
+}
+
+/**
+ * Check if an element is the topmost open dialog
+ * @param {HTMLElement} element - Dialog element
+ * @returns {boolean} True if it receives keyboard input
+ */
+export function isTopDialog(element) {
+    return stack.length > 0 && stack[stack.length - 1].element === element;
+}
+
+/**
+ * Set inert on everything that is not the dialog, its kept elements or their ancestors
+ * @param {Object} entry - Stack entry
+ */
+function makeBackgroundInert(entry) {
+    const allowed = [entry.element, ...entry.keep];
+
+    const walk = (parent) => {
+        Array.from(parent.children).forEach(child => {
+            if (allowed.includes(child)) return;
+
+            if (allowed.some(node => child.contains(node))) {
+                walk(child);
+                return;
+            }
+
+            if (child.inert || child.tagName === 'SCRIPT') return;
+
+            child.inert = true;
+            entry.inerted.push(child);
+        });
+    };
+
+    walk(document.body);
+}
+
+/**
+ * Get focusable elements of a dialog, in document order
+ * @param {Object} entry - Stack entry
+ * @returns {Array<HTMLElement>} Focusable elements
+ */
+function getFocusable(entry) {
+    const elements = [entry.element, ...entry.keep].flatMap(root => {
+        const own = root.matches(FOCUSABLE) ? [root] : [];
+        return own.concat(Array.from(root.querySelectorAll(FOCUSABLE)));
+    });
+
+    return elements
+        .filter(el => el.getClientRects().length > 0 && !el.closest('[inert]'))
+        .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+}
+
+/**
+ * Install the keyboard handler once
+ */
+function listen() {
+    if (listening) return;
+    listening = true;
+
+    document.addEventListener('keydown', handleKeydown);
+}
+
+/**
+ * Escape closes the topmost dialog, Tab loops inside it
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function handleKeydown(e) {
+    const entry = stack[stack.length - 1];
+    if (!entry) return;
+
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        entry.onDismiss();
+        return;
+    }
+
+    if (e.key !== 'Tab') return;
+
+    const focusable = getFocusable(entry);
+
+    if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const isInside = focusable.includes(document.activeElement);
+
+    if (e.shiftKey && (document.activeElement === first || !isInside)) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !isInside)) {
+        e.preventDefault();
+        first.focus();
+    }
+}
\ No newline at end of file
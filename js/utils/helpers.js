@@ -3,6 +3,25 @@
  * Reusable utility functions
  */
 
+let defaultLocale = 'it-IT';
+
+/**
+ * Set the locale used by the formatting helpers
+ * Called by the i18n module when the language changes
+ * @param {string} locale - Locale, e.g. 'en-GB'
+ */
+export function setDefaultLocale(locale) {
+    defaultLocale = locale;
+}
+
+/**
+ * Get the locale used by the formatting helpers
+ * @returns {string} Locale
+ */
+export function getDefaultLocale() {
+    return defaultLocale;
+}
+
 /**
  * Debounce function
  * Delays execution until after wait time has elapsed since last call
@@ -113,10 +132,10 @@ export function smoothScrollTo(target, offset = 0, duration = 500) {
 /**
  * Format date to locale string
  * @param {Date|string} date - Date to format
- * @param {string} locale - Locale (default: 'it-IT')
+ * @param {string} locale - Locale (default: active locale)
  * @returns {string} Formatted date string
  */
-export function formatDate(date, locale = 'it-IT') {
+export function formatDate(date, locale = defaultLocale) {
     const dateObj = typeof date === 'string' ? new Date(date) : date;
     
     return dateObj.toLocaleDateString(locale, {
@@ -129,10 +148,10 @@ export function formatDate(date, locale = 'it-IT') {
 /**
  * Format time to locale string
  * @param {Date|string} time - Time to format
- * @param {string} locale - Locale (default: 'it-IT')
+ * @param {string} locale - Locale (default: active locale)
  * @returns {string} Formatted time string
  */
-export function formatTime(time, locale = 'it-IT') {
+export function formatTime(time, locale = defaultLocale) {
     const timeObj = typeof time === 'string' ? new Date(time) : time;
     
     return timeObj.toLocaleTimeString(locale, {
@@ -182,11 +201,17 @@ export function getQueryParam(param) {
  * Set query parameter in URL
  * @param {string} param - Parameter name
  * @param {string} value - Parameter value
+ * @param {boolean} replace - Update the current history entry instead of adding one (default: false)
  */
-export function setQueryParam(param, value) {
+export function setQueryParam(param, value, replace = false) {
     const url = new URL(window.location);
     url.searchParams.set(param, value);
-    window.history.pushState({}, '', url);
+
+    if (replace) {
+        window.history.replaceState(window.history.state, '', url);
+    } else {
+        window.history.pushState({}, '', url);
+    }
 }
 
 /**
@@ -225,10 +250,15 @@ export function getOrientation() {
 
 /**
  * Lock body scroll
+ * Pads the page by the width of the visible scrollbar so nothing shifts;
+ * fixed elements can use the --scrollbar-width custom property
  */
 export function lockScroll() {
+    const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+    
     document.body.style.overflow = 'hidden';
-    document.body.style.paddingRight = getScrollbarWidth() + 'px';
+    document.body.style.paddingRight = scrollbarWidth + 'px';
+    document.documentElement.style.setProperty('--scrollbar-width', scrollbarWidth + 'px');
 }
 
 /**
@@ -237,6 +267,7 @@ export function lockScroll() {
 export function unlockScroll() {
     document.body.style.overflow = '';
     document.body.style.paddingRight = '';
+    document.documentElement.style.removeProperty('--scrollbar-width');
 }
 
 /**
@@ -317,10 +348,10 @@ export function capitalize(text) {
 /**
  * Format currency (Euro)
  * @param {number} amount - Amount to format
- * @param {string} locale - Locale (default: 'it-IT')
+ * @param {string} locale - Locale (default: active locale)
  * @returns {string} Formatted currency string
  */
-export function formatCurrency(amount, locale = 'it-IT') {
+export function formatCurrency(amount, locale = defaultLocale) {
     return new Intl.NumberFormat(locale, {
         style: 'currency',
         currency: 'EUR'
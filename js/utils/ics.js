@@ -0,0 +1,202 @@
+/**
+ * ICS UTILITIES - A i' centrale
+ * Build and download iCalendar (RFC 5545) files
+ */
+
+const PRODUCT_ID = "-//A i' centrale//Sito web//IT";
+
+// Octets per content line, line break excluded
+const MAX_LINE_OCTETS = 75;
+
+const encoder = new TextEncoder();
+
+// Timezone definitions for events with wall-clock times (TZID)
+const TIME_ZONES = {
+    'Europe/Rome': [
+        'BEGIN:VTIMEZONE',
+        'TZID:Europe/Rome',
+        'BEGIN:DAYLIGHT',
+        'TZOFFSETFROM:+0100',
+        'TZOFFSETTO:+0200',
+        'TZNAME:CEST',
+        'DTSTART:19700329T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+        'END:DAYLIGHT',
+        'BEGIN:STANDARD',
+        'TZOFFSETFROM:+0200',
+        'TZOFFSETTO:+0100',
+        'TZNAME:CET',
+        'DTSTART:19701025T030000',
+        'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ]
+};
+
+/**
+ * Format a date as UTC iCalendar timestamp (20250101T180000Z)
+ * @param {Date} date - Date to format
+ * @returns {string} iCalendar timestamp
+ */
+export function formatIcsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a date as wall-clock iCalendar timestamp in a timezone (20250101T190000)
+ * @param {Date} date - Date to format
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} iCalendar timestamp (to be used with TZID)
+ */
+export function formatIcsLocalDate(date, timeZone) {
+    const parts = {};
+
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    return `${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+}
+
+/**
+ * Build a date property, with TZID when the timezone is known
+ * Recurring events need wall-clock times, or they shift by an hour across DST changes.
+ * @param {string} name - Property name (DTSTART, DTEND, EXDATE)
+ * @param {Date} date - Date
+ * @param {string} timeZone - IANA timezone (optional)
+ * @returns {string} Content line
+ */
+function formatDateProperty(name, date, timeZone) {
+    if (timeZone && TIME_ZONES[timeZone]) {
+        return `${name};TZID=${timeZone}:${formatIcsLocalDate(date, timeZone)}`;
+    }
+
+    return `${name}:${formatIcsDate(date)}`;
+}
+
+/**
+ * Escape text for iCalendar property values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeIcsText(text = '') {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/,/g, '\\,')
+        .replace(/;/g, '\\;');
+}
+
+/**
+ * Fold long content lines (RFC 5545 limits lines to 75 octets)
+ * Lengths are counted in UTF-8 bytes and lines break between characters,
+ * so accented letters and emoji are never split.
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+    const chunks = [];
+    let chunk = '';
+    let size = 0;
+
+    // for...of walks code points: surrogate pairs stay together
+    for (const char of line) {
+        const bytes = encoder.encode(char).length;
+
+        if (size + bytes > MAX_LINE_OCTETS) {
+            chunks.push(chunk);
+            // Continuation lines start with a space, which counts too
+            chunk = ' ';
+            size = 1;
+        }
+
+        chunk += char;
+        size += bytes;
+    }
+
+    chunks.push(chunk);
+    return chunks.join('\r\n');
+}
+
+/**
+ * Build the VEVENT lines for a single event
+ * @param {Object} event - Event data
+ * @param {string} event.uid - Unique identifier
+ * @param {Date} event.start - Start date
+ * @param {Date} event.end - End date
+ * @param {string} event.title - Summary
+ * @param {string} [event.description] - Description
+ * @param {string} [event.location] - Location
+ * @param {string} [event.url] - Related URL
+ * @param {string} [event.rrule] - Recurrence rule (e.g. 'FREQ=WEEKLY;BYDAY=TH')
+ * @param {Array<Date>} [event.exdates] - Skipped occurrences of the recurrence
+ * @param {string} [event.timeZone] - IANA timezone for wall-clock times (e.g. 'Europe/Rome')
+ * @returns {Array<string>} Content lines
+ */
+function buildEventLines(event) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatIcsDate(new Date())}`,
+        formatDateProperty('DTSTART', event.start, event.timeZone),
+        formatDateProperty('DTEND', event.end, event.timeZone),
+        `SUMMARY:${escapeIcsText(event.title)}`
+    ];
+
+    if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+
+    (event.exdates || []).forEach(date => {
+        lines.push(formatDateProperty('EXDATE', date, event.timeZone));
+    });
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Build an iCalendar document
+ * @param {Array<Object>} events - Events (see buildEventLines)
+ * @param {string} name - Calendar name (optional)
+ * @returns {string} iCalendar text
+ */
+export function buildCalendar(events, name = '') {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    if (name) lines.push(`X-WR-CALNAME:${escapeIcsText(name)}`);
+
+    const timeZones = new Set(events.map(event => event.timeZone).filter(zone => TIME_ZONES[zone]));
+    timeZones.forEach(zone => lines.push(...TIME_ZONES[zone]));
+
+    events.forEach(event => lines.push(...buildEventLines(event)));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Create an object URL for an iCalendar document
+ * @param {string} calendar - iCalendar text
+ * @returns {string} Object URL (revoke with URL.revokeObjectURL)
+ */
+export function createIcsUrl(calendar) {
+    const blob = new Blob([calendar], { type: 'text/calendar;charset=utf-8' });
+    return URL.createObjectURL(blob);
+}
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * OUTBOX - A i' centrale
+ * IndexedDB queue for POST requests that could not be sent (offline):
+ * entries survive a reload and are retried by the module that queued them
+ *
+ * Entry: { id, url, body, attempts, createdAt, nextAttempt }
+ */
+
+const DB_NAME = 'aicentrale';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+
+let dbPromise = null;
+
+/**
+ * Open the database (once)
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB not available'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Blocked or private mode: let the next call try again
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+
+    return dbPromise;
+}
+
+/**
+ * Run a request in a transaction on the outbox store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Called with the store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function withStore(mode, operation) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Queue a request
+ * @param {string} url - Endpoint
+ * @param {Object} body - JSON body
+ * @returns {Promise<number>} Entry id
+ */
+export function addToOutbox(url, body) {
+    const now = Date.now();
+
+    return withStore('readwrite', store => store.add({
+        url,
+        body,
+        attempts: 0,
+        createdAt: now,
+        nextAttempt: now
+    }));
+}
+
+/**
+ * Read the queued requests, oldest first
+ * @param {string} url - Only the entries for this endpoint (default: all)
+ * @returns {Promise<Array<Object>>} Entries
+ */
+export async function getOutbox(url = null) {
+    const entries = await withStore('readonly', store => store.getAll());
+    return url ? entries.filter(entry => entry.url === url) : entries;
+}
+
+/**
+ * Read one queued request
+ * @param {number} id - Entry id
+ * @returns {Promise<Object|undefined>} Entry, undefined once it is gone
+ */
+export function getOutboxEntry(id) {
+    return withStore('readonly', store => store.get(id));
+}
+
+/**
+ * Save an entry after a failed attempt
+ * @param {Object} entry - Entry with updated attempts and nextAttempt
+ * @returns {Promise<number>} Entry id
+ */
+export function updateOutboxEntry(entry) {
+    return withStore('readwrite', store => store.put(entry));
+}
+
+/**
+ * Remove a sent (or abandoned) entry
+ * @param {number} id - Entry id
+ * @returns {Promise<void>}
+ */
+export function removeFromOutbox(id) {
+    return withStore('readwrite', store => store.delete(id));
+}
\ No newline at end of file
@@ -0,0 +1,223 @@
+/**
+ * SERVICE WORKER - A i' centrale
+ * Offline support: precached app shell, stale-while-revalidate images
+ * and a branded offline page
+ *
+ * Bump CACHE_VERSION on every deployment: the new worker precaches the
+ * new files, the page offers to reload and the old caches are deleted.
+ */
+
+const CACHE_VERSION = 'v16';
+const CACHE_PREFIX = 'aicentrale-';
+const STATIC_CACHE = `${CACHE_PREFIX}static-${CACHE_VERSION}`;
+const IMAGE_CACHE = `${CACHE_PREFIX}images-${CACHE_VERSION}`;
+const OFFLINE_URL = 'offline.html';
+const MAX_IMAGES = 80;
+
+// App shell: everything needed to render the page without network
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    OFFLINE_URL,
+    'css/main.css',
+    'css/variables.css',
+    'css/reset.css',
+    'css/typography.css',
+    'css/layout.css',
+    'css/components/header.css',
+    'css/components/hero.css',
+    'css/components/scroll-effects.css',
+    'css/components/about.css',
+    'css/components/menu-preview.css',
+    'css/components/media.css',
+    'css/components/gallery.css',
+    'css/components/forms.css',
+    'css/components/events.css',
+    'css/components/reservation.css',
+    'css/components/cta.css',
+    'css/components/footer.css',
+    'css/components/contact.css',
+    'css/components/page.css',
+    'css/components/opening-hours.css',
+    'css/components/offline.css',
+    'css/components/install.css',
+    'css/components/consent.css',
+    'css/components/perf-overlay.css',
+    'js/main.js',
+    'js/offline.js',
+    'js/core/kernel.js',
+    'js/core/scroll.js',
+    'js/core/sections.js',
+    'js/core/store.js',
+    'js/i18n/it.js',
+    'js/i18n/en.js',
+    'js/modules/i18n.js',
+    'js/modules/consent.js',
+    'js/modules/theme.js',
+    'js/modules/analytics.js',
+    'js/modules/performance.js',
+    'js/modules/navigation.js',
+    'js/modules/scroll-animations.js',
+    'js/modules/scroll-effects.js',
+    'js/modules/images.js',
+    'js/modules/gallery.js',
+    'js/modules/mobile-menu.js',
+    'js/modules/opening-hours.js',
+    'js/modules/menu.js',
+    'js/modules/events.js',
+    'js/modules/reservation.js',
+    'js/modules/contact.js',
+    'js/modules/service-worker.js',
+    'js/modules/install.js',
+    'js/modules/router.js',
+    'js/utils/helpers.js',
+    'js/utils/dialog.js',
+    'js/utils/ics.js',
+    'js/utils/outbox.js',
+    'assets/images/logo centrale.png',
+    'assets/icons/favicon-32.png',
+    'assets/icons/icon-192.png',
+    'manifest.webmanifest',
+    'data/opening-hours.json',
+    'pages/menu.html',
+    'pages/events.html',
+    'pages/privacy.html',
+    'pages/private-events.html'
+];
+
+self.addEventListener('install', (event) => {
+    // No skipWaiting(): the page asks the user before switching version
+    event.waitUntil(
+        caches.open(STATIC_CACHE).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [STATIC_CACHE, IMAGE_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && !current.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(staleWhileRevalidate(request, event));
+    } else if (url.origin === self.location.origin && url.pathname.includes('/data/')) {
+        event.respondWith(networkFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Pages: network first, then the cached page, then the offline page
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Response
+ */
+async function handleNavigation(request) {
+    try {
+        return await fetch(request);
+    } catch (err) {
+        const cache = await caches.open(STATIC_CACHE);
+
+        // Query strings (?foto=, ?menu=...) are app state, not different pages
+        return (await cache.match(request, { ignoreSearch: true })) ||
+            (await cache.match(OFFLINE_URL));
+    }
+}
+
+/**
+ * Static files: served from the precache, fetched if missing
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || fetch(request);
+}
+
+/**
+ * Data files: fresh when online, last known copy when offline
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(STATIC_CACHE);
+
+    try {
+        const response = await fetch(request);
+
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+/**
+ * Images: answer from cache right away and refresh it in the background
+ * @param {Request} request - Image request
+ * @param {FetchEvent} event - Fetch event (keeps the worker alive for the refresh)
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(request, event) {
+    const cache = await caches.open(IMAGE_CACHE);
+
+    // Any cache: the logo is in the precache
+    const cached = await caches.match(request);
+
+    const refresh = fetch(request)
+        .then(async response => {
+            // Cross-origin images (Unsplash) are opaque: status 0 is fine
+            if (response.ok || response.type === 'opaque') {
+                await cache.put(request, response.clone());
+                await trimCache(cache, MAX_IMAGES);
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+
+    return refresh;
+}
+
+/**
+ * Delete the oldest entries of a cache above a size limit
+ * @param {Cache} cache - Cache
+ * @param {number} maxEntries - Entries to keep
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    const excess = keys.length - maxEntries;
+
+    if (excess > 0) {
+        await Promise.all(keys.slice(0, excess).map(key => cache.delete(key)));
+    }
+}
\ No newline at end of file
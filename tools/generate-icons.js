@@ -0,0 +1,303 @@
+/**
+ * ICON GENERATOR - A i' centrale
+ * Builds the web app icons from the logo, without external dependencies
+ *
+ * Usage: node tools/generate-icons.js
+ * Writes the PNG files listed in ICONS to assets/icons/
+ *
+ * Only 8-bit RGB/RGBA non-interlaced PNGs are supported (like the logo).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCE = path.join(ROOT, 'assets/images/logo centrale.png');
+const OUTPUT_DIR = path.join(ROOT, 'assets/icons');
+
+// --color-black in css/variables.css
+const BACKGROUND = [0x0A, 0x0A, 0x0A];
+
+/**
+ * Icons to generate
+ * scale: logo size relative to the icon (maskable icons keep it in the 80% safe zone)
+ * background: fill colour, or null for transparent
+ * The logo is white on transparent: every icon gets the dark background,
+ * or it would disappear on light home screens and tabs.
+ */
+const ICONS = [
+    { file: 'icon-192.png', size: 192, scale: 0.9, background: BACKGROUND },
+    { file: 'icon-512.png', size: 512, scale: 0.9, background: BACKGROUND },
+    { file: 'icon-maskable-192.png', size: 192, scale: 0.7, background: BACKGROUND },
+    { file: 'icon-maskable-512.png', size: 512, scale: 0.7, background: BACKGROUND },
+    { file: 'apple-touch-icon.png', size: 180, scale: 0.8, background: BACKGROUND },
+    { file: 'favicon-32.png', size: 32, scale: 1, background: BACKGROUND }
+];
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * CRC32 of a buffer (PNG chunk checksum)
+ * @param {Buffer} buffer - Data
+ * @returns {number} Checksum
+ */
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Paeth predictor (PNG filter type 4)
+ * @param {number} a - Left
+ * @param {number} b - Up
+ * @param {number} c - Upper left
+ * @returns {number} Predicted value
+ */
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+
+    if (pa <= pb && pa <= pc) return a;
+    if (pb <= pc) return b;
+    return c;
+}
+
+/**
+ * Decode a PNG file into RGBA pixels
+ * @param {string} file - File path
+ * @returns {{width: number, height: number, data: Uint8Array}} Image
+ */
+function readPng(file) {
+    const buffer = fs.readFileSync(file);
+
+    if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error(`${file} is not a PNG`);
+    }
+
+    let offset = 8;
+    let header = null;
+    const idat = [];
+
+    while (offset < buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+
+        offset += length + 12;
+    }
+
+    if (!header || header.bitDepth !== 8 || ![2, 6].includes(header.colorType) || header.interlace) {
+        throw new Error('Unsupported PNG: use an 8-bit RGB/RGBA non-interlaced image');
+    }
+
+    const channels = header.colorType === 6 ? 4 : 3;
+    const stride = header.width * channels;
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const pixels = new Uint8Array(stride * header.height);
+
+    for (let y = 0; y < header.height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const row = y * stride;
+
+        for (let x = 0; x < stride; x++) {
+            const a = x >= channels ? pixels[row + x - channels] : 0;
+            const b = y > 0 ? pixels[row + x - stride] : 0;
+            const c = x >= channels && y > 0 ? pixels[row + x - stride - channels] : 0;
+            let value = line[x];
+
+            switch (filter) {
+                case 1: value += a; break;
+                case 2: value += b; break;
+                case 3: value += (a + b) >> 1; break;
+                case 4: value += paeth(a, b, c); break;
+            }
+
+            pixels[row + x] = value & 0xFF;
+        }
+    }
+
+    // Normalize to RGBA
+    const data = new Uint8Array(header.width * header.height * 4);
+
+    for (let i = 0, j = 0; i < data.length; i += 4, j += channels) {
+        data[i] = pixels[j];
+        data[i + 1] = pixels[j + 1];
+        data[i + 2] = pixels[j + 2];
+        data[i + 3] = channels === 4 ? pixels[j + 3] : 255;
+    }
+
+    return { width: header.width, height: header.height, data };
+}
+
+/**
+ * Encode RGBA pixels as PNG
+ * @param {{width: number, height: number, data: Uint8Array}} image - Image
+ * @returns {Buffer} PNG file
+ */
+function writePng(image) {
+    const stride = image.width * 4;
+    const raw = Buffer.alloc((stride + 1) * image.height);
+
+    // Filter type 0 on every row, deflate does the rest
+    for (let y = 0; y < image.height; y++) {
+        Buffer.from(image.data.buffer, y * stride, stride).copy(raw, y * (stride + 1) + 1);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(image.width, 0);
+    header.writeUInt32BE(image.height, 4);
+    header[8] = 8;
+    header[9] = 6;
+
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+
+        length.writeUInt32BE(data.length);
+        crc.writeUInt32BE(crc32(body));
+
+        return Buffer.concat([length, body, crc]);
+    };
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Downscale an image with area averaging (premultiplied alpha, no dark fringes)
+ * @param {{width: number, height: number, data: Uint8Array}} image - Source image
+ * @param {number} size - Target width and height
+ * @returns {{width: number, height: number, data: Uint8Array}} Resized image
+ */
+function resize(image, size) {
+    const data = new Uint8Array(size * size * 4);
+    const ratioX = image.width / size;
+    const ratioY = image.height / size;
+
+    for (let y = 0; y < size; y++) {
+        const y0 = y * ratioY;
+        const y1 = y0 + ratioY;
+
+        for (let x = 0; x < size; x++) {
+            const x0 = x * ratioX;
+            const x1 = x0 + ratioX;
+            let r = 0, g = 0, b = 0, a = 0, area = 0;
+
+            for (let sy = Math.floor(y0); sy < Math.ceil(y1); sy++) {
+                const wy = Math.min(y1, sy + 1) - Math.max(y0, sy);
+
+                for (let sx = Math.floor(x0); sx < Math.ceil(x1); sx++) {
+                    const weight = wy * (Math.min(x1, sx + 1) - Math.max(x0, sx));
+                    const i = (sy * image.width + sx) * 4;
+                    const alpha = image.data[i + 3] / 255;
+
+                    r += image.data[i] * alpha * weight;
+                    g += image.data[i + 1] * alpha * weight;
+                    b += image.data[i + 2] * alpha * weight;
+                    a += alpha * weight;
+                    area += weight;
+                }
+            }
+
+            const o = (y * size + x) * 4;
+
+            if (a > 0) {
+                data[o] = Math.round(r / a);
+                data[o + 1] = Math.round(g / a);
+                data[o + 2] = Math.round(b / a);
+            }
+            data[o + 3] = Math.round((a / area) * 255);
+        }
+    }
+
+    return { width: size, height: size, data };
+}
+
+/**
+ * Center a square image on a canvas, optionally over a background colour
+ * @param {{width: number, height: number, data: Uint8Array}} logo - Resized logo
+ * @param {number} size - Canvas size
+ * @param {Array<number>|null} background - RGB colour or null
+ * @returns {{width: number, height: number, data: Uint8Array}} Icon
+ */
+function compose(logo, size, background) {
+    const data = new Uint8Array(size * size * 4);
+    const offset = Math.floor((size - logo.width) / 2);
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const o = (y * size + x) * 4;
+            const lx = x - offset;
+            const ly = y - offset;
+            const inside = lx >= 0 && ly >= 0 && lx < logo.width && ly < logo.height;
+            const i = (ly * logo.width + lx) * 4;
+            const alpha = inside ? logo.data[i + 3] / 255 : 0;
+
+            if (!background) {
+                if (inside) data.set(logo.data.subarray(i, i + 4), o);
+                continue;
+            }
+
+            for (let c = 0; c < 3; c++) {
+                const front = inside ? logo.data[i + c] : 0;
+                data[o + c] = Math.round(front * alpha + background[c] * (1 - alpha));
+            }
+            data[o + 3] = 255;
+        }
+    }
+
+    return { width: size, height: size, data };
+}
+
+/**
+ * Generate every icon
+ */
+function main() {
+    const source = readPng(SOURCE);
+
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+    ICONS.forEach(icon => {
+        const logo = resize(source, Math.round(icon.size * icon.scale));
+        const output = path.join(OUTPUT_DIR, icon.file);
+
+        fs.writeFileSync(output, writePng(compose(logo, icon.size, icon.background)));
+        console.log(`✅ ${path.relative(ROOT, output)} (${icon.size}x${icon.size})`);
+    });
+}
+
+main();
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * MOCK SERVER - A i' centrale
+ * Serves the site locally and fakes the form endpoints
+ *
+ * Usage: node tools/mock-server.js [port]
+ * Then open http://localhost:8080
+ *
+ * Add ?fail=1 to an endpoint URL (or send "Mario Errore" as name)
+ * to simulate a server error.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = parseInt(process.argv[2], 10) || 8080;
+const RESPONSE_DELAY = 600;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ics': 'text/calendar; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8'
+};
+
+/**
+ * Fake API endpoints: path -> handler returning [status, body]
+ */
+const ENDPOINTS = {
+    '/api/reservations': (data) => {
+        if (!data.name || !data.email || !data.date || !data.time) {
+            return [422, { error: 'Missing fields' }];
+        }
+        return [201, { id: `R${Date.now()}`, status: 'confirmed' }];
+    },
+    '/api/contact': (data) => {
+        if (!data.name || !data.email || !data.message) {
+            return [422, { error: 'Missing fields' }];
+        }
+        return [201, { id: `C${Date.now()}`, status: 'received' }];
+    },
+    '/api/analytics': (data) => {
+        if (!Array.isArray(data.events)) {
+            return [422, { error: 'Missing events' }];
+        }
+        return [202, { received: data.events.length }];
+    },
+    '/api/vitals': (data) => {
+        if (!Array.isArray(data.events)) {
+            return [422, { error: 'Missing metrics' }];
+        }
+        return [202, { received: data.events.length }];
+    }
+};
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJson(req) {
+    return new Promise((resolve) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body || '{}'));
+            } catch (err) {
+                resolve({});
+            }
+        });
+    });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Serve a static file from the project root
+ * @param {string} pathname - URL path
+ * @param {http.ServerResponse} res - Response
+ */
+function serveStatic(pathname, res) {
+    const filePath = path.join(ROOT, decodeURIComponent(pathname === '/' ? '/index.html' : pathname));
+
+    if (!filePath.startsWith(ROOT)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (err, content) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+
+        const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(content);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const endpoint = ENDPOINTS[url.pathname];
+
+    if (!endpoint) {
+        serveStatic(url.pathname, res);
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    const data = await readJson(req);
+    console.log(`POST ${url.pathname}`, data);
+
+    setTimeout(() => {
+        if (url.searchParams.has('fail') || data.name === 'Mario Errore') {
+            sendJson(res, 500, { error: 'Simulated failure' });
+            return;
+        }
+
+        const [status, body] = endpoint(data);
+        sendJson(res, status, body);
+    }, RESPONSE_DELAY);
+});
+
+server.listen(PORT, () => {
+    console.log(`🍊 Mock server running on http://localhost:${PORT}`);
+});
\ No newline at end of file